@@ -0,0 +1,104 @@
+/**
+ * Service worker — keeps the game playable offline.
+ *
+ * - App shell (index.html + the hashed JS/CSS it references, mascot, manifest)
+ *   is precached on install. questions.json is bundled into the JS.
+ * - Audio lives in its own cache. Filenames are content hashes, so entries
+ *   never go stale: serve cache-first and keep whatever gets played. The page
+ *   fills this cache for "download for offline" (see src/utils/offline.js).
+ */
+const SHELL_CACHE = 'shell-v1';
+const AUDIO_CACHE = 'audio';
+
+const SHELL_FILES = ['./', './index.html', './manifest.webmanifest', './mascot.png', './vite.svg'];
+
+// Asset URLs referenced by the built index.html (script src / stylesheet href)
+const assetsFromHtml = (html) =>
+    [...html.matchAll(/(?:src|href)="(\.\/assets\/[^"]+)"/g)].map(m => m[1]);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        const html = await (await cache.match('./index.html')).text();
+        await cache.addAll(assetsFromHtml(html));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(
+            keys.filter(k => k.startsWith('shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))
+        );
+        await self.clients.claim();
+    })());
+});
+
+// Media elements (Safari especially) ask for byte ranges; answer them from
+// the full cached file so audio still plays offline
+const sliceRange = async (rangeHeader, response) => {
+    const blob = await response.blob();
+    const [, from, to] = /bytes=(\d*)-(\d*)/.exec(rangeHeader) || [];
+    const start = Number(from) || 0;
+    const end = to ? Math.min(Number(to), blob.size - 1) : blob.size - 1;
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes',
+        },
+    });
+};
+
+// Audio: always cache the whole file, then serve the requested range
+const audioResponse = async (request) => {
+    const cache = await caches.open(AUDIO_CACHE);
+    let response = await cache.match(request.url);
+    if (!response) {
+        response = await fetch(request.url);
+        if (!response.ok) return response;
+        await cache.put(request.url, response.clone());
+    }
+    const range = request.headers.get('range');
+    return range ? sliceRange(range, response) : response;
+};
+
+const cacheFirst = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+// Network first so a new deploy is picked up; cached shell when offline
+const networkFirst = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match(request)) || (await cache.match('./index.html')) || Promise.reject(err);
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/audio/')) {
+        event.respondWith(audioResponse(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
@@ -34,6 +34,19 @@ for (const q of qs) {
     }
 }
 
+// Position overrides: pronunciationAt on the question text and on option texts
+for (const q of qs) {
+    const sources = [[q.text, q.pronunciationAt, `q${q.id}`]];
+    for (const o of q.options) sources.push([o.text, o.pronunciationAt, `q${q.id}${o.id}`]);
+    for (const [text, entries, source] of sources) {
+        for (const [index, info] of Object.entries(entries || {})) {
+            if (!info?.audioFile) continue;
+            if (!refs.has(info.audioFile)) refs.set(info.audioFile, []);
+            refs.get(info.audioFile).push({ source: `${source}@${index}`, char: [...text][index], ttsText: info.ttsText });
+        }
+    }
+}
+
 // ── 2. Check feedback audio ────────────────────────────────────────
 let feedbackAudioPath = join(__dirname, '..', 'src', 'data', 'feedback_audio.json');
 let feedbackRefs = new Map();
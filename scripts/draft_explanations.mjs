@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Draft answer explanations (`explanation`) with Qwen AI — a sentence or two
+ * telling a child why the answer is what it is, e.g. the wordplay behind
+ * "兔崽子 龟儿子". With FIELD=hint it drafts the mascot's hints (`hint`)
+ * instead, for questions imported before import_data_txt.mjs wrote them.
+ *
+ * Drafts are NOT written to questions.json. They go to
+ * src/data/explanation_drafts.json (hint_drafts.json), to be checked in
+ * scripts/review.html (edit, keep or reject). The drafts kept there are
+ * exported as explanations_reviewed.json (hints_reviewed.json) and applied
+ * with --apply, which also drops the rejected drafts.
+ *
+ * Steps:
+ *   1. Find questions without the field that have no pending draft
+ *   2. Batch-send them to Qwen to draft it
+ *   3. Append the drafts to the drafts file
+ *
+ * Usage:
+ *   DASHSCOPE_API_KEY=sk-xxx node scripts/draft_explanations.mjs
+ *   LIMIT=100 DASHSCOPE_API_KEY=sk-xxx node scripts/draft_explanations.mjs
+ *   node scripts/draft_explanations.mjs --apply explanations_reviewed.json
+ *   FIELD=hint DASHSCOPE_API_KEY=sk-xxx node scripts/draft_explanations.mjs
+ *   FIELD=hint node scripts/draft_explanations.mjs --apply hints_reviewed.json
+ */
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const questionsPath = join(__dirname, '..', 'src', 'data', 'questions.json');
+
+// What each FIELD drafts: the drafts file and its `kind` (which review.html
+// keys on), the reviewed export, and what Qwen is asked to write
+const FIELDS = {
+    explanation: {
+        kind: 'explanation-drafts',
+        draftsFile: 'explanation_drafts.json',
+        reviewedFile: 'explanations_reviewed.json',
+        task: `请为每道题写一句解释，告诉 5-12 岁的小朋友为什么答案是这样的。要求：
+- 点明题目里的"机关"：谐音、双关、字面意思、常识或者换个角度想
+- 口语化、亲切，适合大声念给小朋友听，不超过40个字
+- 不要重复题目，不要用"因为答案是……"开头
+- 例如 题：什么东西越洗越脏？ 答：水 → "洗东西的时候，脏东西都跑到水里去啦，所以水越洗越脏。"`,
+    },
+    hint: {
+        kind: 'hint-drafts',
+        draftsFile: 'hint_drafts.json',
+        reviewedFile: 'hints_reviewed.json',
+        task: `请为每道题写一句小鸡吉祥物会念给小朋友听的提示。要求：
+- 引导小朋友往正确的方向想，但不能直接说出答案，也不能说出答案里的字
+- 口语化、亲切，不超过20个字
+- 例如 题：什么东西越洗越脏？ 答：水 → "想一想，洗东西的时候要用到什么？"`,
+    },
+};
+
+const FIELD = process.env.FIELD || 'explanation';
+if (!FIELDS[FIELD]) {
+    console.error(`Error: FIELD must be one of ${Object.keys(FIELDS).join(', ')}.`);
+    process.exit(1);
+}
+const { kind, draftsFile, reviewedFile, task } = FIELDS[FIELD];
+const draftsPath = join(__dirname, '..', 'src', 'data', draftsFile);
+
+const BATCH_SIZE = 20;
+const LIMIT = parseInt(process.env.LIMIT || '0') || Infinity;
+
+const loadDrafts = () => existsSync(draftsPath)
+    ? JSON.parse(readFileSync(draftsPath, 'utf8')).drafts
+    : [];
+
+const saveDrafts = (drafts) => {
+    writeFileSync(draftsPath, JSON.stringify({ kind, drafts }, null, 2) + '\n', 'utf8');
+};
+
+// ── Apply reviewed drafts ─────────────────────────────────────────
+const apply = (reviewedPath) => {
+    const reviewed = JSON.parse(readFileSync(resolve(reviewedPath), 'utf8'));
+    if (reviewed.kind !== kind) {
+        console.error(`Error: ${reviewedPath} is not an export of ${FIELD} drafts from the review tool.`);
+        process.exit(1);
+    }
+
+    const questions = JSON.parse(readFileSync(questionsPath, 'utf8'));
+    const byId = new Map(questions.map(q => [q.id, q]));
+    let applied = 0;
+    for (const { id, text, [FIELD]: value } of reviewed.drafts) {
+        const q = byId.get(id);
+        // Question ids are renumbered when questions are filtered out
+        if (!q || q.text !== text) {
+            console.warn(`  ⚠️ #${id} no longer matches "${text}", skipped`);
+            continue;
+        }
+        if (q[FIELD] !== value) {
+            q[FIELD] = value;
+            delete q[`${FIELD}AudioFile`];
+        }
+        applied++;
+    }
+    writeFileSync(questionsPath, JSON.stringify(questions, null, 2) + '\n', 'utf8');
+
+    // Kept and rejected drafts are settled; the rest stay pending review
+    const reviewedIds = new Set([...reviewed.drafts.map(d => d.id), ...(reviewed.rejected || [])]);
+    const pending = loadDrafts().filter(d => !reviewedIds.has(d.id));
+    saveDrafts(pending);
+
+    console.log(`Applied ${applied} ${FIELD}s to questions.json`);
+    console.log(`${pending.length} drafts still pending review`);
+    console.log(`\nNext step:`);
+    console.log(`  Run: DASHSCOPE_API_KEY=sk-xxx node scripts/generate_audio.mjs`);
+};
+
+// ── Draft via AI ──────────────────────────────────────────────────
+const buildPrompt = (batch) => {
+    const items = batch.map((q, i) => {
+        const answer = q.options.find(o => o.isCorrect)?.text;
+        return `${i + 1}. 题：${q.text} 答：${answer}`;
+    }).join('\n');
+
+    return `你是一个给小朋友讲脑筋急转弯的老师。
+
+以下是一批脑筋急转弯题目和答案。${task}
+
+题目列表：
+${items}
+
+请严格按照以下 JSON 格式返回，不要包含其他内容：
+{
+  "drafts": [
+    { "index": 1, "text": "你写的句子" }
+  ]
+}
+
+注意：index 是上面题目列表中的序号（1-based）`;
+};
+
+const processBatch = async (client, batch, batchIndex, totalBatches) => {
+    try {
+        const response = await client.chat.completions.create({
+            model: 'qwen-plus',
+            messages: [{ role: 'user', content: buildPrompt(batch) }],
+            temperature: 0.3,
+            response_format: { type: 'json_object' },
+        });
+
+        const result = JSON.parse(response.choices[0].message.content);
+        const drafts = (result.drafts || [])
+            .filter(item => batch[item.index - 1] && item.text?.trim())
+            .map(item => {
+                const { id, text, options } = batch[item.index - 1];
+                return { id, text, options, [FIELD]: item.text.trim() };
+            });
+
+        console.log(`  Batch ${batchIndex + 1}/${totalBatches}: ${drafts.length}/${batch.length} drafted`);
+        return drafts;
+    } catch (err) {
+        console.error(`  Batch ${batchIndex + 1}/${totalBatches}: ERROR — ${err.message}`);
+        return [];
+    }
+};
+
+const draft = async () => {
+    const apiKey = process.env.DASHSCOPE_API_KEY;
+    if (!apiKey) {
+        console.error('Error: DASHSCOPE_API_KEY environment variable is required.');
+        process.exit(1);
+    }
+    const client = new OpenAI({
+        apiKey,
+        baseURL: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
+    });
+
+    const questions = JSON.parse(readFileSync(questionsPath, 'utf8'));
+    const drafts = loadDrafts();
+    const drafted = new Set(drafts.map(d => d.id));
+    const todo = questions
+        .filter(q => !q[FIELD] && !drafted.has(q.id))
+        .slice(0, LIMIT);
+    console.log(`${todo.length} questions need a ${FIELD} (${drafts.length} drafts already pending review)\n`);
+
+    if (todo.length === 0) return;
+
+    const batches = [];
+    for (let i = 0; i < todo.length; i += BATCH_SIZE) {
+        batches.push(todo.slice(i, i + BATCH_SIZE));
+    }
+
+    for (let i = 0; i < batches.length; i++) {
+        drafts.push(...await processBatch(client, batches[i], i, batches.length));
+        // Save as we go so an interrupted run keeps its drafts
+        saveDrafts(drafts);
+
+        // Rate limiting
+        if (i < batches.length - 1) {
+            await new Promise(r => setTimeout(r, 500));
+        }
+    }
+
+    console.log(`\nDone! ${drafts.length} drafts pending review in ${draftsPath}`);
+    console.log(`\nNext steps:`);
+    console.log(`  1. Open scripts/review.html, load ${draftsFile}, edit / keep / reject`);
+    console.log(`  2. Run: ${FIELD === 'explanation' ? '' : `FIELD=${FIELD} `}node scripts/draft_explanations.mjs --apply ${reviewedFile}`);
+};
+
+// ── Main ──────────────────────────────────────────────────────────
+const applyIndex = process.argv.indexOf('--apply');
+const main = applyIndex >= 0
+    ? async () => apply(process.argv[applyIndex + 1])
+    : draft;
+
+main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
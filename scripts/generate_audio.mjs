@@ -1,6 +1,13 @@
 #!/usr/bin/env node
 /**
- * Generate audio files for each character's ttsText using Qwen-TTS (cosyvoice).
+ * Generate audio files for each character's ttsText using Qwen-TTS (cosyvoice),
+ * plus sentence-level audio for every question text and option text, and
+ * for the mascot hint (`hint` → `hintAudioFile`) and the answer explanation
+ * (`explanation` → `explanationAudioFile`) where a question has them.
+ *
+ * Sentence clips are recorded as `audioFile` on the question / option, with
+ * `audioTimings` (start ms of each character of [...text]) estimated from the
+ * clip length when ffprobe is available, for karaoke-style highlighting.
  *
  * Model: qwen-tts (via DashScope MultiModalConversation API)
  * Voice: Cherry (sweet female, good for kids)
@@ -43,9 +50,48 @@ try {
     hasFFmpeg = true;
 } catch (_) { }
 
+// Check if ffprobe is available (for sentence timing estimates)
+let hasFFprobe = false;
+try {
+    execSync('which ffprobe', { stdio: 'ignore' });
+    hasFFprobe = true;
+} catch (_) { }
+
 // Generate MD5 hash for a ttsText string
 const hashText = (text) => createHash('md5').update(text).digest('hex').slice(0, 12);
 
+// Text sent to TTS for a sentence: emoji aren't spoken
+const toSpokenText = (text) => text.replace(/[\p{Extended_Pictographic}\u200d\ufe0f]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Clip length in ms, or null without ffprobe
+const getDurationMs = (filePath) => {
+    if (!hasFFprobe) return null;
+    try {
+        const out = execSync(`ffprobe -v error -show_entries format=duration -of csv=p=0 "${filePath}"`).toString();
+        const seconds = parseFloat(out);
+        return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+    } catch (_) {
+        return null;
+    }
+};
+
+// Estimate when each character starts: spoken characters share the clip
+// evenly, punctuation counts as a short pause, emoji/spaces take no time
+const SPOKEN_CHAR = /[\p{L}\p{N}]/u;
+const PAUSE_CHAR = /[，。！？、；：,.!?;:…]/;
+
+const estimateTimings = (text, durationMs) => {
+    const chars = [...text];
+    const weights = chars.map(ch => SPOKEN_CHAR.test(ch) ? 1 : PAUSE_CHAR.test(ch) ? 0.6 : 0);
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    let elapsed = 0;
+    return chars.map((_, i) => {
+        const start = Math.round((elapsed / total) * durationMs);
+        elapsed += weights[i];
+        return start;
+    });
+};
+
 // Sleep helper
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -174,23 +220,78 @@ const runPool = async (tasks, concurrency, onCheckpoint) => {
 const main = async () => {
     const questions = JSON.parse(readFileSync(questionsPath, 'utf8'));
 
-    // Collect all unique ttsText entries
+    // Collect all unique ttsText entries: per-character overrides plus
+    // position overrides (pronunciationAt) on the question and its options.
+    // refs hold the entry objects themselves so audioFile can be set in place.
     const ttsMap = new Map();
 
-    for (let qi = 0; qi < questions.length; qi++) {
-        const q = questions[qi];
-        if (!q.pronunciation) continue;
-
-        for (const [char, info] of Object.entries(q.pronunciation)) {
+    const collect = (entries) => {
+        for (const info of Object.values(entries || {})) {
             if (!info || typeof info !== 'object' || !info.ttsText) continue;
             const hash = hashText(info.ttsText);
             if (!ttsMap.has(hash)) {
-                ttsMap.set(hash, { ttsText: info.ttsText, refs: [] });
+                ttsMap.set(hash, { ttsText: info.ttsText, sentence: false, refs: [] });
             }
-            ttsMap.get(hash).refs.push({ qIndex: qi, char });
+            ttsMap.get(hash).refs.push(info);
+        }
+    };
+
+    // Sentence audio: refs are the question / option objects
+    const collectSentence = (target) => {
+        const ttsText = toSpokenText(target.text);
+        if (!ttsText) return;
+        const hash = hashText(ttsText);
+        if (!ttsMap.has(hash)) {
+            ttsMap.set(hash, { ttsText, sentence: true, refs: [] });
+        }
+        ttsMap.get(hash).refs.push(target);
+    };
+
+    // Hint / explanation audio: the question gets `${field}AudioFile`
+    const collectSpoken = (q, field) => {
+        const ttsText = q[field] && toSpokenText(q[field]);
+        if (!ttsText) return;
+        const hash = hashText(ttsText);
+        if (!ttsMap.has(hash)) {
+            ttsMap.set(hash, { ttsText, sentence: false, refs: [] });
+        }
+        const entry = ttsMap.get(hash);
+        entry.spokenRefs = [...(entry.spokenRefs || []), { q, key: `${field}AudioFile` }];
+    };
+
+    for (const q of questions) {
+        collect(q.pronunciation);
+        collect(q.pronunciationAt);
+        collectSentence(q);
+        collectSpoken(q, 'hint');
+        collectSpoken(q, 'explanation');
+        for (const o of q.options) {
+            collect(o.pronunciationAt);
+            collectSentence(o);
         }
     }
 
+    // Point every ref at its file; sentences also get timing estimates
+    // Timings belong to one clip and one text: a new clip, or text edited
+    // without changing what is spoken (e.g. punctuation), makes them stale
+    const hasTimings = (ref, audioFile) => ref.audioFile === audioFile
+        && ref.audioTimings?.length === [...ref.text].length;
+
+    const assignAudio = (entry, audioFile, filePath) => {
+        const needsTimings = entry.sentence && entry.refs.some(ref => !hasTimings(ref, audioFile));
+        const durationMs = needsTimings ? getDurationMs(filePath) : null;
+        for (const ref of entry.refs) {
+            if (entry.sentence && !hasTimings(ref, audioFile)) {
+                if (durationMs) ref.audioTimings = estimateTimings(ref.text, durationMs);
+                else delete ref.audioTimings;
+            }
+            ref.audioFile = audioFile;
+        }
+        for (const { q, key } of entry.spokenRefs || []) {
+            q[key] = audioFile;
+        }
+    };
+
     // Separate into existing (skip) and new (process)
     const toProcess = [];
     let skipped = 0;
@@ -200,9 +301,7 @@ const main = async () => {
         const audioFile = `${hash}.mp3`;
 
         if (existsSync(filePath)) {
-            for (const ref of entry.refs) {
-                questions[ref.qIndex].pronunciation[ref.char].audioFile = audioFile;
-            }
+            assignAudio(entry, audioFile, filePath);
             skipped++;
         } else {
             toProcess.push({ hash, entry, audioFile });
@@ -210,11 +309,13 @@ const main = async () => {
     }
 
     console.log(`🔊 Model: qwen-tts (voice: Cherry)`);
-    console.log(`📊 Total unique ttsText: ${ttsMap.size}`);
+    const sentenceCount = [...ttsMap.values()].filter(e => e.sentence).length;
+    console.log(`📊 Total unique ttsText: ${ttsMap.size} (${ttsMap.size - sentenceCount} characters, ${sentenceCount} sentences)`);
     console.log(`✅ Already existing: ${skipped}`);
     console.log(`🆕 Need generation: ${toProcess.length}`);
     console.log(`⚡ Concurrency: ${CONCURRENCY}`);
-    console.log(`🎵 FFmpeg: ${hasFFmpeg ? 'available (will convert to MP3)' : 'not found (will save as WAV with .mp3 ext)'}\n`);
+    console.log(`🎵 FFmpeg: ${hasFFmpeg ? 'available (will convert to MP3)' : 'not found (will save as WAV with .mp3 ext)'}`);
+    console.log(`⏱️ FFprobe: ${hasFFprobe ? 'available (will estimate sentence timings)' : 'not found (sentences get no timings)'}\n`);
 
     if (toProcess.length === 0) {
         writeFileSync(questionsPath, JSON.stringify(questions, null, 2) + '\n', 'utf8');
@@ -242,9 +343,7 @@ const main = async () => {
             const finalSize = readFileSync(filePath).length;
 
             // Update all references
-            for (const ref of entry.refs) {
-                questions[ref.qIndex].pronunciation[ref.char].audioFile = audioFile;
-            }
+            assignAudio(entry, audioFile, filePath);
 
             processed++;
             console.log(`  [${processed + errors}/${toProcess.length}] "${entry.ttsText}" → ${audioFile} (${finalSize} bytes)`);
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
- * Generate audio files for Chinese feedback phrases (correct, incorrect, complete).
+ * Generate audio files for Chinese feedback phrases (correct, incorrect, complete,
+ * timeout, retry, and the streak / comeback / perfect-round phrases).
  * Outputs to docs/audio/feedback/ directory.
  */
 import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
@@ -90,6 +91,27 @@ const phrases = {
         "冒险家！", "小博士！", "达人！", "冠军！", "闪亮之星！",
         "超级厉害！", "太棒棒了！", "好厉害呀！", "目标达成！", "小英雄！",
         "天才！", "完成了！", "通关啦！", "赢家！", "表现超棒！"
+    ],
+    timeout: [
+        "时间到！", "时间到啦！", "下次快一点！", "慢了一点点！", "来看看答案！"
+    ],
+    retry: [
+        "再试一次！", "换一个！", "再想想！", "还有一次机会！", "再选一次吧！"
+    ],
+    streak3: [
+        "连对3题！", "三连胜！", "越来越厉害了！"
+    ],
+    streak4: [
+        "连对4题！", "四连胜！", "停不下来啦！"
+    ],
+    streak5: [
+        "连对5题！", "五连胜！", "势不可挡！"
+    ],
+    comeback: [
+        "这次答对啦！", "漂亮的反击！", "找回状态了！", "就是这样，继续！", "翻身啦！"
+    ],
+    perfect: [
+        "全部答对！", "满分通关！", "一题都没错！", "完美通关！", "满分小天才！"
     ]
 };
 
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Fill the `pinyin` field (with tone marks) for every pronunciation entry:
+ * the shared dictionary, per-question overrides and position overrides
+ * (pronunciationAt on a question or option).
+ *
+ * The reading is taken from the example word in ttsText, so polyphonic
+ * characters get the reading their audio actually uses:
+ *   "“长”：“长大”的“长”" → pinyin of 长 inside 长大 → "zhǎng"
+ *
+ * Entries that already have pinyin are left alone (hand fixes win).
+ * No API key needed — uses the local pinyin-pro library.
+ *
+ * Usage:
+ *   node scripts/generate_pinyin.mjs
+ *   FORCE=1 node scripts/generate_pinyin.mjs   # recompute every entry
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { pinyin } from 'pinyin-pro';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const questionsPath = join(__dirname, '..', 'src', 'data', 'questions.json');
+const dictPath = join(__dirname, '..', 'src', 'data', 'pronunciation_dict.json');
+
+const FORCE = process.env.FORCE === '1';
+
+// ttsText format: “X”：“YY”的“X”
+const TTS_PATTERN = /^“(.)”：“([^”]+)”的“.”$/;
+
+// Known misreadings by the library, keyed by "char@word"
+const MANUAL = {
+    '得@跑得快': 'de',
+};
+
+// Reading of `char` in the ttsText example word, falling back to the bare char.
+// Tone sandhi is off so 不/一 keep their citation tone (bù, yī) like a dictionary.
+const pinyinFor = (char, ttsText) => {
+    const word = ttsText?.match(TTS_PATTERN)?.[2];
+    if (word) {
+        if (MANUAL[`${char}@${word}`]) return MANUAL[`${char}@${word}`];
+        const index = [...word].indexOf(char);
+        if (index !== -1) {
+            return pinyin(word, { type: 'array', toneSandhi: false })[index];
+        }
+    }
+    return pinyin(char, { toneSandhi: false });
+};
+
+// entries are keyed by character, or by position when charAt is given
+const fillEntries = (entries, charAt = (key) => key) => {
+    let filled = 0;
+    for (const [key, info] of Object.entries(entries)) {
+        if (!info || typeof info !== 'object') continue;
+        if (info.pinyin && !FORCE) continue;
+        // Keep pinyin as the first field, matching the documented entry shape
+        const { pinyin: _, ...rest } = info;
+        entries[key] = { pinyin: pinyinFor(charAt(key), info.ttsText), ...rest };
+        filled++;
+    }
+    return filled;
+};
+
+const fillPositions = (entries, text) => fillEntries(entries, (index) => [...text][index]);
+
+const main = () => {
+    const dict = JSON.parse(readFileSync(dictPath, 'utf8'));
+    const questions = JSON.parse(readFileSync(questionsPath, 'utf8'));
+
+    const dictFilled = fillEntries(dict);
+    let overrideFilled = 0;
+    for (const q of questions) {
+        if (q.pronunciation) overrideFilled += fillEntries(q.pronunciation);
+        if (q.pronunciationAt) overrideFilled += fillPositions(q.pronunciationAt, q.text);
+        for (const o of q.options) {
+            if (o.pronunciationAt) overrideFilled += fillPositions(o.pronunciationAt, o.text);
+        }
+    }
+
+    writeFileSync(dictPath, JSON.stringify(dict, null, 2) + '\n', 'utf8');
+    writeFileSync(questionsPath, JSON.stringify(questions, null, 2) + '\n', 'utf8');
+
+    console.log(`📖 Dictionary: ${dictFilled} entries filled (${Object.keys(dict).length} total)`);
+    console.log(`📝 Question overrides: ${overrideFilled} entries filled`);
+};
+
+main();
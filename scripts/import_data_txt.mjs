@@ -6,6 +6,7 @@
  *   1. Parse data.txt (format: "0001—题目 答案：答案")
  *   2. De-duplicate against existing questions.json
  *   3. Batch-send to Qwen AI to filter age-appropriate (5-12 years) and generate options
+ *      plus a short hint the mascot can read out
  *   4. Append filtered questions to questions.json
  *
  * Usage:
@@ -60,7 +61,7 @@ const buildFilterPrompt = (batch) => {
 
     return `你是一个儿童内容审核员和脑筋急转弯专家。
 
-以下是一批脑筋急转弯题目和答案。请完成两个任务：
+以下是一批脑筋急转弯题目和答案。请完成三个任务：
 
 **任务1：筛选**
 只保留适合 5-12 岁小朋友的题目。排除以下类型：
@@ -76,6 +77,11 @@ const buildFilterPrompt = (batch) => {
 - 干扰项要看起来合理但错误，适合小朋友的认知水平
 - 每个选项尽量简短（2-8个字）
 
+**任务3：生成提示**
+对于保留的每道题，写一句小鸡吉祥物会念给小朋友听的提示。要求：
+- 引导小朋友往正确的方向想，但不能直接说出答案
+- 口语化、亲切，不超过20个字，例如"想一想，它们的名字里藏着什么？"
+
 题目列表：
 ${items}
 
@@ -86,6 +92,7 @@ ${items}
       "index": 1,
       "text": "题目文本",
       "type": "logic|math|animal|daily",
+      "hint": "提示文本",
       "options": [
         {"text": "正确答案", "isCorrect": true},
         {"text": "干扰项1", "isCorrect": false},
@@ -196,6 +203,7 @@ const main = async () => {
             type: item.type || 'logic',
             text: item.text,
             options,
+            ...(item.hint ? { hint: item.hint } : {}),
         };
     });
 
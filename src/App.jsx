@@ -1,121 +1,411 @@
-import { useState, useMemo } from 'react';
+import { useState, useEffect, useEffectEvent } from 'react';
 import confetti from 'canvas-confetti';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Star, RotateCcw, Award, Sparkles, Send, ArrowRight } from 'lucide-react';
+import { Star, RotateCcw, Award, Sparkles, Send, ArrowRight, BookOpen, Volume2, Square, Settings, WifiOff, VolumeX, ChartColumn, Timer, Trophy, CalendarDays, Flame, Sun, Play, X, Sticker, House } from 'lucide-react';
 import QuestionCard from './components/QuestionCard';
 import AnswerButton from './components/AnswerButton';
 import ProgressBar from './components/ProgressBar';
+import CategoryPicker from './components/CategoryPicker';
+import PinyinToggle from './components/PinyinToggle';
+import SettingsPanel from './components/SettingsPanel';
+import SkillTrend from './components/SkillTrend';
+import ProfilePicker from './components/ProfilePicker';
+import ParentDashboard from './components/ParentDashboard';
+import DailyCalendar from './components/DailyCalendar';
+import HintBar from './components/HintBar';
+import AnswerExplanation from './components/AnswerExplanation';
+import RoundRecap from './components/RoundRecap';
+import StickerBook from './components/StickerBook';
+import StickerUnlock from './components/StickerUnlock';
 import { questions, feedbackPhrases } from './data/questions';
-import { speakFeedback } from './utils/tts';
-
-const GAME_SIZE = 5;
-
-function shuffleArray(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
+import { speakFeedback, hasFeedbackAudio, readAloud, stopSpeaking, playQueue, preloadAudio, questionAudioFiles, setAudioOptions, onAudio } from './utils/tts';
+import { loadHistory, recordShown, recordAnswer } from './utils/history';
+import { loadNotebook, getDueIds, addMistake, recordReview } from './utils/review';
+import { loadSettings, saveSettings, toAudioOptions } from './utils/settings';
+import { onOnlineChange } from './utils/offline';
+import { selectProfile } from './utils/profiles';
+import { logAnswer, logCharTap } from './utils/log';
+import { loadBest, recordBest } from './utils/bests';
+import { dateKey, loadDaily, recordDaily, dailyStreak } from './utils/daily';
+import { loadRatings, recordRating, recordRoundSkill } from './utils/rating';
+import { loadRound, saveRound, clearRound } from './utils/round';
+import { checkAchievements, loadAchievements } from './utils/achievements';
+import { answerFeedback, roundFeedback, comboLevel, voicedPhrases } from './utils/feedback';
+import { achievements } from './data/achievements';
+import { createQuizEngine, currentQuestion as questionOf, isRuledOut, optionResult, result as roundResult, TIME_LIMIT_MS, GAME_SIZE } from './utils/quiz';
+
+// Result screen wording for each grade from the quiz engine
+const GRADES = {
+  perfect: { title: '🏆 满分通关！', msg: () => '太厉害了，全部答对！你是真正的智慧之星！', color: 'from-yellow-400 to-amber-500' },
+  great: { title: '🌟 非常棒！', msg: (n) => `答对了 ${n} 道题，离满分就差一点点了！`, color: 'from-indigo-500 to-purple-600' },
+  good: { title: '👏 表现不错！', msg: (n) => `答对了 ${n} 道题，继续加油哦！`, color: 'from-blue-500 to-cyan-500' },
+  'keep-trying': { title: '💪 继续努力！', msg: (n) => `答对了 ${n} 道题，多练习就会越来越棒！`, color: 'from-pink-500 to-rose-500' },
+};
+
+// Confetti for a correct answer, bigger as the combo grows (see comboLevel)
+const CONFETTI = {
+  1: { particleCount: 150, spread: 100 },
+  2: { particleCount: 250, spread: 130, startVelocity: 45 },
+  3: { particleCount: 400, spread: 170, startVelocity: 55, scalar: 1.2 },
+};
+const burstConfetti = (level) => confetti({
+  ...CONFETTI[level],
+  origin: { y: 0.6 },
+  colors: ['#818cf8', '#c084fc', '#fb7185', '#fbbf24']
+});
+
+// The header mascot: a gentle float, or a celebration that grows with the combo
+const MASCOT_MOTION = {
+  0: { animate: { y: [0, -5, 0], rotate: [0, 3, -3, 0], scale: 1 }, transition: { duration: 4, repeat: Infinity, ease: 'easeInOut' } },
+  1: { animate: { y: [0, -15, 0], rotate: [0, -8, 8, 0], scale: 1 }, transition: { duration: 0.6, repeat: 1 } },
+  2: { animate: { y: [0, -25, 0, -15, 0], rotate: 0, scale: [1, 1.15, 1, 1.1, 1] }, transition: { duration: 0.9, repeat: 1 } },
+  3: { animate: { y: [0, -35, 0], rotate: [0, 360], scale: [1, 1.3, 1] }, transition: { duration: 0.9, repeat: 2 } },
+};
+
+// The rules of a round; this component holds its state and does the side effects
+const quizEngine = createQuizEngine();
 
 // Use local public asset
 const mascotImg = `${import.meta.env.BASE_URL}mascot.png`;
 
 function App() {
-  const [gameState, setGameState] = useState('welcome'); // welcome | playing | result
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [score, setScore] = useState(0);
-  const [isAnswered, setIsAnswered] = useState(false);
-  const [feedback, setFeedback] = useState(null);
+  const [gameState, setGameState] = useState('profiles'); // profiles | welcome | playing | result
+  const [profile, setProfile] = useState(null); // the child playing: { id, name, avatar, age }
+  const [quiz, setQuiz] = useState(null); // the round, see utils/quiz.js; mode: normal | review | timed | daily
+  const [timeLeft, setTimeLeft] = useState(null); // ms left on this question in timed mode
+  const [timedBest, setTimedBest] = useState(null); // { best, isNew } once a timed round ends
   const [feedbackText, setFeedbackText] = useState('');
-  const [selectedOption, setSelectedOption] = useState(null);
-  const [gameKey, setGameKey] = useState(0); // triggers re-shuffle
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showParent, setShowParent] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showStickers, setShowStickers] = useState(false);
+  const [newStickers, setNewStickers] = useState([]); // achievements just earned, waiting to pop up
+  const [reading, setReading] = useState(null); // { key, index } while reading the question aloud
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [audioFailed, setAudioFailed] = useState(false); // the last sound couldn't be played
+  const [savedRound, setSavedRound] = useState(null); // unfinished round offered as 继续上一局
+
+  const currentQuestion = quiz && quiz.phase !== 'finished' ? questionOf(quiz) : null;
+  const isAnswered = quiz?.phase === 'answered';
+  const { pinyinMode, categories: selectedTypes } = settings;
+
+  // Keep the audio manager in sync with the saved sound settings
+  useEffect(() => {
+    setAudioOptions(toAudioOptions(settings));
+  }, [settings]);
+
+  useEffect(() => onOnlineChange(setIsOnline), []);
+
+  // A sound that fails to load or play shows 没有声音 until one plays again
+  useEffect(() => {
+    const offError = onAudio('error', () => setAudioFailed(true));
+    const offStart = onAudio('start', () => setAudioFailed(false));
+    return () => {
+      offError();
+      offStart();
+    };
+  }, []);
+
+  // Warm the audio cache for this question and the next, so taps play instantly
+  const roundQuestions = quiz?.questions;
+  const roundIndex = quiz?.index;
+  useEffect(() => {
+    if (!roundQuestions) return;
+    preloadAudio(roundQuestions.slice(roundIndex, roundIndex + 2).flatMap(questionAudioFiles));
+  }, [roundQuestions, roundIndex]);
 
-  // Pick GAME_SIZE random questions each game
-  const gameQuestions = useMemo(
-    () => shuffleArray(questions).slice(0, GAME_SIZE),
-    [gameKey]
+  const getRandomPhrase = (type) => {
+    const phrases = voicedPhrases(type, feedbackPhrases, hasFeedbackAudio);
+    return phrases[Math.floor(Math.random() * phrases.length)];
+  };
+
+  const updateSettings = (patch) => {
+    setSettings(saveSettings(patch));
+  };
+
+  // Everything below the picker reads and writes the chosen child's data
+  const handleSelectProfile = (next) => {
+    selectProfile(next.id);
+    setProfile(next);
+    setSettings(loadSettings());
+    const round = loadRound();
+    setSavedRound(round && quizEngine.restore(round, questions) ? round : null);
+    setGameState('welcome');
+  };
+
+  const handleSwitchProfile = () => {
+    stopSpeaking();
+    selectProfile(null);
+    setProfile(null);
+    setGameState('profiles');
+  };
+
+  const settingsButton = (
+    <motion.button
+      whileHover={{ scale: 1.1, rotate: 30 }}
+      whileTap={{ scale: 0.9 }}
+      onClick={() => setShowSettings(true)}
+      aria-label="设置"
+      className="glass w-11 h-11 md:w-14 md:h-14 rounded-full flex items-center justify-center shadow-lg border-2 border-white/50 text-indigo-500 cursor-pointer"
+    >
+      <Settings className="w-5 h-5 md:w-7 md:h-7" />
+    </motion.button>
   );
 
-  const currentQuestion = gameQuestions[currentQuestionIndex];
+  const settingsPanel = (
+    <SettingsPanel
+      open={showSettings}
+      settings={settings}
+      onChange={updateSettings}
+      onClose={() => setShowSettings(false)}
+    />
+  );
 
-  const getRandomPhrase = (type) => {
-    const phrases = feedbackPhrases[type];
-    return phrases[Math.floor(Math.random() * phrases.length)];
+  const stickerUnlock = (
+    <StickerUnlock stickers={newStickers} onDone={() => setNewStickers(queue => queue.slice(1))} />
+  );
+
+  // 朗读题目 — read the question, then each option, highlighting characters as they're spoken
+  const handleReadAloud = () => {
+    if (reading) {
+      stopSpeaking();
+      return;
+    }
+    const parts = [
+      { key: 'question', ...currentQuestion },
+      ...currentQuestion.options.map(o => ({ key: o.id, ...o })),
+    ].map(({ key, text, audioFile, audioTimings, charPronunciation }) => ({
+      key,
+      text,
+      audioFile,
+      audioTimings,
+      charAudio: charPronunciation.map(info => info?.audioFile),
+    }));
+    readAloud(parts, (key, index) => setReading({ key, index })).then(() => setReading(null));
+  };
+
+  const handleCharTap = (char) => {
+    logCharTap(currentQuestion.id, char);
+    queueStickers(checkAchievements('tap', quiz));
   };
 
   const handleSelect = (option) => {
-    if (isAnswered) return;
-    setSelectedOption(option);
+    setQuiz(quizEngine.select(quiz, option.id));
   };
 
-  const handleSubmit = () => {
-    if (!selectedOption || isAnswered) return;
-    setIsAnswered(true);
+  // 50/50: take away one of the wrong options at random
+  const handleEliminate = () => {
+    setQuiz(quizEngine.eliminate(quiz));
+  };
+
+  const handleMascotHint = () => {
+    setQuiz(quizEngine.mascotHint(quiz));
+  };
+
+  const queueStickers = (earned) => {
+    if (earned.length > 0) setNewStickers(queue => [...queue, ...earned]);
+  };
+
+  const goToNext = () => {
+    stopSpeaking();
+    // Re-plan the rest of the round around the updated skill and streak
+    const next = quizEngine.next(quiz, quizEngine.ratingPlan(loadRatings()));
+    setQuiz(next);
+    if (next.phase === 'finished') {
+      recordRoundSkill();
+      clearRound();
+      queueStickers(checkAchievements('round', next));
+      setGameState('result');
+      const feedback = roundFeedback(next);
+      if (feedback === 'perfect') burstConfetti(3);
+      speakFeedback(getRandomPhrase(feedback));
+    } else {
+      recordShown(questionOf(next).id);
+      if (next.mode === 'timed') setTimeLeft(TIME_LIMIT_MS);
+      setFeedbackText('');
+    }
+  };
+
+  // The feedback phrase, then the question's explanation if it has one —
+  // unless the child moves on first
+  const speakResult = (phrase) => {
+    const { explanationAudioFile } = currentQuestion;
+    speakFeedback(phrase).then((status) => {
+      if (status !== 'stopped' && explanationAudioFile) playQueue([explanationAudioFile]);
+    });
+  };
+
+  // optionId is null when the clock ran out in timed mode — a miss that reveals the answer
+  const submitAnswer = (optionId) => {
+    const next = quizEngine.submit(quiz, optionId);
+    if (next === quiz) return;
+    setQuiz(next);
+    const { last } = next;
+    logAnswer({
+      questionId: last.questionId,
+      type: currentQuestion.type,
+      optionId: last.optionId,
+      isCorrect: last.isCorrect,
+      timeMs: last.timeMs,
+      mode: next.mode,
+      hints: last.hints,
+      attempt: last.attempt,
+    });
+
+    // History, difficulty and 错题本 follow the first try only
+    if (last.attempt === 1) {
+      recordAnswer(last.questionId, last.isCorrect);
+      recordRating(currentQuestion, last.isCorrect);
+      if (next.mode === 'review') {
+        recordReview(last.questionId, last.isCorrect);
+      } else if (!last.isCorrect) {
+        addMistake(last.questionId);
+      }
+    }
+    queueStickers(checkAchievements('answer', next));
 
-    if (selectedOption.isCorrect) {
-      setScore(score + 1);
-      setFeedback('correct');
-      const phrase = getRandomPhrase('correct');
+    // Phrases for the moment: a streak, a comeback, a second try, a miss…
+    const phrase = getRandomPhrase(answerFeedback(next));
+    if (last.retry) {
       setFeedbackText(phrase);
-      confetti({
-        particleCount: 150,
-        spread: 100,
-        origin: { y: 0.6 },
-        colors: ['#818cf8', '#c084fc', '#fb7185', '#fbbf24']
-      });
       speakFeedback(phrase);
+      return;
+    }
+
+    // The last answer settles the round's score
+    if (next.index === next.questions.length - 1) {
+      if (next.mode === 'timed') setTimedBest(recordBest('timed', next.points));
+      if (next.mode === 'daily') recordDaily(next.dailyKey, next.score, next.questions.length);
+    }
 
-      // Auto-advance after correct answer
-      setTimeout(() => {
-        goToNext();
-      }, 2500);
+    if (last.isCorrect) {
+      setFeedbackText(last.earned ? `${phrase} +${last.earned}` : phrase);
+      burstConfetti(comboLevel(next.streak));
+      speakResult(phrase);
     } else {
-      setFeedback('incorrect');
-      const phrase = getRandomPhrase('incorrect');
       setFeedbackText(phrase);
-      speakFeedback(phrase);
+      speakResult(phrase);
       // Stay on current question — user clicks "下一题" to advance
     }
   };
 
-  const goToNext = () => {
-    if (currentQuestionIndex < gameQuestions.length - 1) {
-      setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setIsAnswered(false);
-      setFeedback(null);
-      setFeedbackText('');
-      setSelectedOption(null);
-    } else {
-      setGameState('result');
-      speakFeedback(getRandomPhrase('complete'));
-    }
+  const handleSubmit = () => {
+    if (!quiz.selectedId) return;
+    submitAnswer(quiz.selectedId);
   };
 
-  const startGame = () => {
-    setCurrentQuestionIndex(0);
-    setScore(0);
-    setIsAnswered(false);
-    setFeedback(null);
+  // Auto-advance after a correct answer, unless there's an explanation to read
+  const autoAdvance = quiz?.feedback === 'correct' && !currentQuestion?.explanation;
+  const onAutoAdvance = useEffectEvent(() => goToNext());
+  useEffect(() => {
+    if (!autoAdvance) return;
+    const timer = setTimeout(onAutoAdvance, 2500);
+    return () => clearTimeout(timer);
+  }, [autoAdvance, roundIndex]);
+
+  // Count down the current question in timed mode; running out counts as a miss
+  const onTick = useEffectEvent(() => {
+    const left = quizEngine.timeLeft(quiz);
+    setTimeLeft(left);
+    if (left === 0) submitAnswer(null);
+    return left === 0;
+  });
+  const isCountingDown = gameState === 'playing' && quiz?.mode === 'timed' && quiz.phase === 'playing';
+  useEffect(() => {
+    if (!isCountingDown) return;
+    const timer = setInterval(() => {
+      if (onTick()) clearInterval(timer);
+    }, 100);
+    return () => clearInterval(timer);
+  }, [isCountingDown, roundIndex]);
+
+  // Snapshot the round after every step, so 继续上一局 can restore it after a reload
+  useEffect(() => {
+    if (gameState !== 'playing' || quiz.phase === 'finished') return;
+    saveRound({ ...quizEngine.toSnapshot(quiz), timedBest });
+  }, [gameState, quiz, timedBest]);
+
+  // …and again when the page is hidden (app switch, reload, close), so a
+  // timed question is saved with the time it has used
+  const onHide = useEffectEvent(() => {
+    if (document.visibilityState === 'hidden') saveRound({ ...quizEngine.toSnapshot(quiz), timedBest });
+  });
+  const isSnapshotting = gameState === 'playing' && quiz?.phase !== 'finished';
+  useEffect(() => {
+    if (!isSnapshotting) return;
+    const listener = () => onHide();
+    document.addEventListener('visibilitychange', listener);
+    return () => document.removeEventListener('visibilitychange', listener);
+  }, [isSnapshotting]);
+
+  // Back into a snapshotted round. A timed question goes on with the time it
+  // had left; time away isn't counted as time spent answering.
+  const resumeRound = (round) => {
+    const restored = quizEngine.restore(round, questions);
+    setQuiz(restored);
+    setTimeLeft(restored.mode === 'timed' ? quizEngine.timeLeft(restored) : null);
+    setTimedBest(round.timedBest);
     setFeedbackText('');
-    setSelectedOption(null);
-    setGameKey(k => k + 1);
+    setSavedRound(null);
     setGameState('playing');
   };
 
-  // Graded result feedback based on score ratio
-  const getResultFeedback = () => {
-    const total = gameQuestions.length;
-    const ratio = score / total;
-    if (ratio === 1) return { title: '🏆 满分通关！', msg: '太厉害了，全部答对！你是真正的智慧之星！', color: 'from-yellow-400 to-amber-500' };
-    if (ratio >= 0.8) return { title: '🌟 非常棒！', msg: `答对了 ${score} 道题，离满分就差一点点了！`, color: 'from-indigo-500 to-purple-600' };
-    if (ratio >= 0.6) return { title: '👏 表现不错！', msg: `答对了 ${score} 道题，继续加油哦！`, color: 'from-blue-500 to-cyan-500' };
-    return { title: '💪 继续努力！', msg: `答对了 ${score} 道题，多练习就会越来越棒！`, color: 'from-pink-500 to-rose-500' };
+  const discardRound = () => {
+    clearRound();
+    setSavedRound(null);
   };
 
+  const startGame = (nextMode = quiz?.mode ?? 'normal') => {
+    const picked = quizEngine.pick({
+      mode: nextMode,
+      bank: questions,
+      types: selectedTypes,
+      history: loadHistory(),
+      ratings: loadRatings(),
+      dueIds: getDueIds(),
+      dailyKey: dateKey(),
+    });
+    if (picked.questions.length === 0) {
+      // Nothing left to review — back to the welcome screen
+      setGameState('welcome');
+      return;
+    }
+    recordShown(picked.questions[0].id);
+
+    setQuiz(quizEngine.start({ mode: nextMode, ...picked, retryPolicy: settings.retryPolicy }));
+    setTimeLeft(nextMode === 'timed' ? TIME_LIMIT_MS : null);
+    setTimedBest(null);
+    setFeedbackText('');
+    setSavedRound(null);
+    setGameState('playing');
+  };
+
+  // From the result screen back to the welcome screen, to pick another mode,
+  // other categories or the other buttons there
+  const goHome = () => {
+    stopSpeaking();
+    setQuiz(null);
+    setTimedBest(null);
+    setFeedbackText('');
+    setGameState('welcome');
+  };
+
+  // ── Profile Picker ─────────────────────────────────────────────
+  if (gameState === 'profiles') {
+    return <ProfilePicker onSelect={handleSelectProfile} />;
+  }
+
   // ── Welcome Screen ─────────────────────────────────────────────
   if (gameState === 'welcome') {
+    const notebookSize = Object.keys(loadNotebook()).length;
+    const dueCount = getDueIds().length;
+    const timedRecord = loadBest('timed');
+    const daily = loadDaily();
+    const todayResult = daily[dateKey()];
+    const streak = dailyStreak(daily);
+    const { unlocked } = loadAchievements();
+    const unseenStickers = Object.values(unlocked).filter(u => !u.seen).length;
     return (
       <div className="min-h-screen flex items-center justify-center p-4 bg-[#f8fafc] relative overflow-hidden">
         {/* Background Orbs */}
@@ -132,6 +422,21 @@ function App() {
           {/* Top gradient bar */}
           <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500" />
 
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleSwitchProfile}
+            aria-label="换一个小朋友"
+            className="absolute top-4 left-4 md:top-6 md:left-6 glass h-11 md:h-14 pl-1.5 pr-4 rounded-full flex items-center gap-2 shadow-lg border-2 border-white/50 cursor-pointer"
+          >
+            <span className="text-2xl md:text-3xl leading-none">{profile.avatar}</span>
+            <span className="font-black text-gray-700 max-w-[6rem] truncate">{profile.name}</span>
+          </motion.button>
+
+          <div className="absolute top-4 right-4 md:top-6 md:right-6">
+            {settingsButton}
+          </div>
+
           {/* Mascot */}
           <motion.div
             animate={{ y: [0, -10, 0], rotate: [0, 5, -5, 0] }}
@@ -171,6 +476,57 @@ function App() {
             每局 {GAME_SIZE} 道题，看看你能答对几道？
           </motion.p>
 
+          {/* Category Picker */}
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.45 }}
+          >
+            <CategoryPicker selected={selectedTypes} onChange={(categories) => updateSettings({ categories })} />
+          </motion.div>
+
+          {/* Pinyin display */}
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.48 }}
+            className="flex justify-center mb-6 md:mb-8"
+          >
+            <PinyinToggle value={pinyinMode} onChange={(mode) => updateSettings({ pinyinMode: mode })} />
+          </motion.div>
+
+          {/* Continue Last Round — 继续上一局 */}
+          {savedRound && (
+            <motion.div
+              initial={{ y: 20, opacity: 0 }}
+              animate={{ y: 0, opacity: 1 }}
+              transition={{ delay: 0.5 }}
+              className="flex gap-2 mb-4"
+            >
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => resumeRound(savedRound)}
+                className="flex-1 bg-white text-emerald-500 border-2 border-emerald-200 text-lg md:text-xl font-black py-3 md:py-4 px-4 rounded-[1.25rem] md:rounded-[1.5rem] shadow-lg hover:shadow-xl hover:shadow-emerald-200/40 transition-shadow flex items-center justify-center gap-2 cursor-pointer"
+              >
+                <Play className="w-5 h-5 md:w-6 md:h-6 fill-current" />
+                继续上一局
+                <span className="text-sm font-bold text-emerald-400">
+                  第 {savedRound.index + 1}/{savedRound.questionIds.length} 题
+                </span>
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={discardRound}
+                aria-label="不玩上一局了"
+                className="bg-white text-gray-400 border-2 border-gray-200 px-4 rounded-[1.25rem] md:rounded-[1.5rem] shadow-lg flex items-center cursor-pointer"
+              >
+                <X className="w-5 h-5 md:w-6 md:h-6" />
+              </motion.button>
+            </motion.div>
+          )}
+
           {/* Start Button */}
           <motion.button
             initial={{ y: 20, opacity: 0 }}
@@ -178,20 +534,117 @@ function App() {
             transition={{ delay: 0.5 }}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            onClick={startGame}
+            onClick={() => startGame('normal')}
             className="w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white text-2xl md:text-3xl font-black py-5 md:py-6 px-8 rounded-[1.5rem] md:rounded-[2rem] shadow-xl hover:shadow-2xl hover:shadow-indigo-300/40 transition-shadow flex items-center justify-center gap-3"
           >
             <Sparkles className="w-7 h-7 md:w-8 md:h-8" />
             开始挑战！
           </motion.button>
+
+          {/* Daily Challenge — 今日挑战 */}
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.52 }}
+            className="flex gap-2 mt-4"
+          >
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => startGame('daily')}
+              className="flex-1 bg-white text-rose-500 border-2 border-rose-200 text-lg md:text-xl font-black py-3 md:py-4 px-4 rounded-[1.25rem] md:rounded-[1.5rem] shadow-lg hover:shadow-xl hover:shadow-rose-200/40 transition-shadow flex items-center justify-center gap-2 cursor-pointer"
+            >
+              <Sun className="w-5 h-5 md:w-6 md:h-6" />
+              今日挑战
+              {todayResult
+                ? <span className="text-sm font-bold text-rose-400">已完成 {todayResult.score}/{todayResult.total}</span>
+                : streak > 0 && <span className="text-sm font-bold text-orange-400 flex items-center"><Flame className="w-4 h-4" />{streak}</span>}
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => setShowCalendar(true)}
+              aria-label="挑战日历"
+              className="bg-white text-rose-400 border-2 border-rose-200 px-4 rounded-[1.25rem] md:rounded-[1.5rem] shadow-lg flex items-center cursor-pointer"
+            >
+              <CalendarDays className="w-5 h-5 md:w-6 md:h-6" />
+            </motion.button>
+          </motion.div>
+
+          {/* Timed Challenge Button — 限时挑战 */}
+          <motion.button
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.55 }}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => startGame('timed')}
+            className="w-full mt-4 bg-white text-amber-500 border-2 border-amber-200 text-lg md:text-xl font-black py-3 md:py-4 px-6 rounded-[1.25rem] md:rounded-[1.5rem] shadow-lg hover:shadow-xl hover:shadow-amber-200/40 transition-shadow flex items-center justify-center gap-2 cursor-pointer"
+          >
+            <Timer className="w-5 h-5 md:w-6 md:h-6" />
+            限时挑战（每题 {TIME_LIMIT_MS / 1000} 秒）
+            {timedRecord && <span className="text-sm text-amber-400 font-bold">最高 {timedRecord.score}</span>}
+          </motion.button>
+
+          {/* Review Button — 错题本 */}
+          {notebookSize > 0 && (
+            <motion.button
+              initial={{ y: 20, opacity: 0 }}
+              animate={{ y: 0, opacity: 1 }}
+              transition={{ delay: 0.6 }}
+              whileHover={dueCount > 0 ? { scale: 1.05 } : {}}
+              whileTap={dueCount > 0 ? { scale: 0.95 } : {}}
+              onClick={() => startGame('review')}
+              disabled={dueCount === 0}
+              className={`
+                w-full mt-4 text-lg md:text-xl font-black py-3 md:py-4 px-6 rounded-[1.25rem] md:rounded-[1.5rem] border-2
+                flex items-center justify-center gap-2 transition-all duration-300
+                ${dueCount > 0
+                  ? 'bg-white text-orange-500 border-orange-200 shadow-lg hover:shadow-xl hover:shadow-orange-200/40 cursor-pointer'
+                  : 'bg-gray-100 text-gray-400 border-gray-200 cursor-not-allowed'}
+              `}
+            >
+              <BookOpen className="w-5 h-5 md:w-6 md:h-6" />
+              {dueCount > 0 ? `复习错题（${dueCount} 题待复习）` : `错题本 ${notebookSize} 题，暂时没有要复习的`}
+            </motion.button>
+          )}
+
+          <div className="mt-6 flex items-center justify-center gap-6">
+            {/* Sticker book — 贴纸册 */}
+            <button
+              onClick={() => setShowStickers(true)}
+              className="relative inline-flex items-center gap-1 text-sm font-bold text-amber-500 hover:text-amber-600 cursor-pointer"
+            >
+              <Sticker className="w-4 h-4" />
+              贴纸册 {Object.keys(unlocked).length}/{achievements.length}
+              {unseenStickers > 0 && (
+                <span className="absolute -top-2 -right-4 bg-rose-400 text-white text-[10px] font-black px-1.5 rounded-full">{unseenStickers}</span>
+              )}
+            </button>
+
+            {/* Parent dashboard */}
+            <button
+              onClick={() => setShowParent(true)}
+              className="inline-flex items-center gap-1 text-sm font-bold text-gray-400 hover:text-indigo-500 cursor-pointer"
+            >
+              <ChartColumn className="w-4 h-4" />
+              家长中心
+            </button>
+          </div>
         </motion.div>
+
+        {settingsPanel}
+        <ParentDashboard open={showParent} profile={profile} onClose={() => setShowParent(false)} />
+        <DailyCalendar open={showCalendar} daily={daily} onClose={() => setShowCalendar(false)} />
+        <StickerBook open={showStickers} onClose={() => setShowStickers(false)} />
       </div>
     );
   }
 
   // ── Result Screen ───────────────────────────────────────────────
   if (gameState === 'result') {
-    const result = getResultFeedback();
+    const totals = roundResult(quiz);
+    const result = { ...GRADES[totals.grade], msg: GRADES[totals.grade].msg(totals.correct) };
     return (
       <div className="min-h-screen flex items-center justify-center p-4 bg-[#f8fafc]">
         <motion.div
@@ -223,20 +676,76 @@ function App() {
           <p className="text-gray-500 mb-8 md:mb-10">
             <span className="text-5xl md:text-6xl font-black text-indigo-600 inline-flex items-center gap-2 my-2 md:my-4">
               <Star className="fill-yellow-400 text-yellow-400 w-10 h-10 md:w-12 md:h-12" />
-              {score} / {gameQuestions.length}
+              {totals.score} / {totals.total}
             </span>
           </p>
 
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={startGame}
-            className={`w-full bg-gradient-to-r ${result.color} text-white text-xl md:text-2xl font-bold py-5 md:py-6 px-8 rounded-[1.5rem] md:rounded-[2rem] shadow-xl flex items-center justify-center gap-3`}
-          >
-            <RotateCcw className="w-6 h-6 md:w-8 md:h-8" />
-            再来一局
-          </motion.button>
+          {quiz.answers.some(a => a.tries > 1) && (
+            <div className="flex items-center justify-center gap-3 mb-8 md:mb-10 font-black text-lg md:text-xl">
+              <span className="flex items-center gap-1 px-4 py-2 rounded-full bg-indigo-50 text-indigo-600">
+                <Sparkles className="w-5 h-5" />
+                一次答对 {totals.firstTry}
+              </span>
+              <span className="flex items-center gap-1 px-4 py-2 rounded-full bg-amber-50 text-amber-600">
+                <RotateCcw className="w-5 h-5" />
+                再试答对 {totals.secondTry}
+              </span>
+            </div>
+          )}
+
+          {quiz.mode === 'daily' && (
+            <p className="flex items-center justify-center gap-2 mb-8 md:mb-10 text-orange-500 text-xl md:text-2xl font-black">
+              <Flame className="w-6 h-6" />
+              今日挑战完成，已连续 {dailyStreak(loadDaily())} 天！
+            </p>
+          )}
+
+          {quiz.mode === 'timed' && timedBest && (
+            <div className="flex items-center justify-center gap-3 mb-8 md:mb-10 text-amber-500">
+              <Timer className="w-6 h-6" />
+              <span className="text-2xl md:text-3xl font-black">{totals.points} 分</span>
+              {timedBest.isNew ? (
+                <motion.span
+                  initial={{ scale: 0 }}
+                  animate={{ scale: [1, 1.15, 1] }}
+                  transition={{ duration: 1, repeat: Infinity }}
+                  className="flex items-center gap-1 bg-amber-400 text-white text-sm font-black px-3 py-1 rounded-full"
+                >
+                  <Trophy className="w-4 h-4" /> 新纪录！
+                </motion.span>
+              ) : (
+                <span className="text-sm font-bold text-amber-400">最高 {timedBest.best} 分</span>
+              )}
+            </div>
+          )}
+
+          <SkillTrend trend={loadRatings().trend} />
+
+          <RoundRecap questions={quiz.questions} answers={quiz.answers} />
+
+          <div className="flex gap-3">
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={goHome}
+              className="bg-white text-gray-500 border-2 border-gray-200 text-lg md:text-xl font-bold py-5 md:py-6 px-5 md:px-6 rounded-[1.5rem] md:rounded-[2rem] shadow-lg flex items-center justify-center gap-2 cursor-pointer"
+            >
+              <House className="w-6 h-6 md:w-7 md:h-7" />
+              回首页
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => startGame()}
+              className={`flex-1 bg-gradient-to-r ${result.color} text-white text-xl md:text-2xl font-bold py-5 md:py-6 px-8 rounded-[1.5rem] md:rounded-[2rem] shadow-xl flex items-center justify-center gap-3`}
+            >
+              <RotateCcw className="w-6 h-6 md:w-8 md:h-8" />
+              再来一局
+            </motion.button>
+          </div>
         </motion.div>
+
+        {stickerUnlock}
       </div>
     );
   }
@@ -249,43 +758,95 @@ function App() {
 
       <header className="relative z-10 flex justify-between items-center max-w-5xl mx-auto mb-8 md:mb-12">
         <div className="flex items-center gap-4 md:gap-6 group">
-          <motion.div
-            animate={{
-              y: [0, -5, 0],
-              rotate: [0, 3, -3, 0]
-            }}
-            transition={{ duration: 4, repeat: Infinity, ease: "easeInOut" }}
-            className="w-16 h-16 md:w-24 md:h-24 glass rounded-2xl md:rounded-3xl flex items-center justify-center overflow-hidden border-2 border-white/80 shadow-xl"
-          >
-            <img src={mascotImg} alt="Mascot" className="w-12 h-12 md:w-20 md:h-20 object-contain" />
-          </motion.div>
+          <div className="relative">
+            <motion.div
+              {...MASCOT_MOTION[quiz.feedback === 'correct' ? comboLevel(quiz.streak) : 0]}
+              className="w-16 h-16 md:w-24 md:h-24 glass rounded-2xl md:rounded-3xl flex items-center justify-center overflow-hidden border-2 border-white/80 shadow-xl"
+            >
+              <img src={mascotImg} alt="Mascot" className="w-12 h-12 md:w-20 md:h-20 object-contain" />
+            </motion.div>
+            {/* 连对 badge once a streak gets going */}
+            <AnimatePresence>
+              {quiz.streak >= 3 && (
+                <motion.span
+                  key={quiz.streak}
+                  initial={{ scale: 0 }}
+                  animate={{ scale: [0, 1.3, 1] }}
+                  exit={{ scale: 0 }}
+                  className="absolute -bottom-2 -right-2 flex items-center gap-0.5 bg-orange-500 text-white text-xs md:text-sm font-black px-2 py-0.5 rounded-full shadow-lg"
+                >
+                  <Flame className="w-3 h-3 md:w-4 md:h-4" />
+                  连对 {quiz.streak}
+                </motion.span>
+              )}
+            </AnimatePresence>
+          </div>
           <div>
             <h1 className="text-2xl md:text-4xl font-black text-gray-800 tracking-tighter">脑筋急转弯</h1>
             <p className="text-indigo-400 font-bold text-[10px] md:text-sm tracking-widest uppercase">Brain Teaser Adventure</p>
           </div>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={handleReadAloud}
+            aria-label={reading ? '停止朗读' : '朗读题目'}
+            className={`w-12 h-12 md:w-16 md:h-16 rounded-full flex items-center justify-center shadow-lg border-2 cursor-pointer transition-colors
+              ${reading
+                ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white border-indigo-300'
+                : 'glass text-indigo-500 border-white/80'}`}
+          >
+            {reading
+              ? <Square className="w-5 h-5 md:w-6 md:h-6 fill-current" />
+              : <Volume2 className="w-6 h-6 md:w-8 md:h-8" />}
+          </motion.button>
         </div>
 
-        <motion.div
-          whileHover={{ scale: 1.05 }}
-          className="glass px-5 py-2 md:px-8 md:py-4 rounded-full md:rounded-[2rem] shadow-lg flex items-center gap-2 md:gap-4 border-2 border-white/50"
-        >
-          <Star className="fill-yellow-400 text-yellow-400 w-5 h-5 md:w-8 md:h-8" />
-          <span className="text-xl md:text-3xl font-black text-gray-800">{score}</span>
-        </motion.div>
+        <div className="flex items-center gap-2 md:gap-4">
+          {!isOnline && (
+            <span className="flex items-center gap-1 px-3 py-1 rounded-full bg-amber-100 text-amber-600 text-xs md:text-sm font-bold">
+              <WifiOff className="w-4 h-4" />
+              离线
+            </span>
+          )}
+          {audioFailed && (
+            <span className="flex items-center gap-1 px-3 py-1 rounded-full bg-rose-100 text-rose-500 text-xs md:text-sm font-bold">
+              <VolumeX className="w-4 h-4" />
+              没有声音
+            </span>
+          )}
+          {settingsButton}
+          <motion.div
+            whileHover={{ scale: 1.05 }}
+            className="glass px-5 py-2 md:px-8 md:py-4 rounded-full md:rounded-[2rem] shadow-lg flex items-center gap-2 md:gap-4 border-2 border-white/50"
+          >
+            <Star className="fill-yellow-400 text-yellow-400 w-5 h-5 md:w-8 md:h-8" />
+            <span className="text-xl md:text-3xl font-black text-gray-800">{quiz.mode === 'timed' ? quiz.points : quiz.score}</span>
+          </motion.div>
+        </div>
       </header>
 
       <main className="relative z-10 max-w-5xl mx-auto">
-        <ProgressBar current={currentQuestionIndex + 1} total={gameQuestions.length} />
+        <ProgressBar
+          current={quiz.index + 1}
+          total={quiz.questions.length}
+          timeLeft={quiz.mode === 'timed' ? timeLeft : null}
+          timeLimit={TIME_LIMIT_MS}
+        />
 
         <AnimatePresence mode='wait'>
           <motion.div
-            key={currentQuestionIndex}
+            key={quiz.index}
             initial={{ opacity: 0, x: 20 }}
             animate={{ opacity: 1, x: 0 }}
             exit={{ opacity: 0, x: -20 }}
             transition={{ type: "spring", damping: 25, stiffness: 120 }}
           >
-            <QuestionCard question={currentQuestion} />
+            <QuestionCard
+              question={currentQuestion}
+              pinyinMode={pinyinMode}
+              highlightIndex={reading?.key === 'question' ? reading.index : null}
+              onCharTap={handleCharTap}
+            />
 
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-8 mt-8 md:mt-12">
               {currentQuestion.options.map((option) => (
@@ -294,19 +855,42 @@ function App() {
                   answer={option}
                   pronunciation={currentQuestion.pronunciation}
                   onClick={() => handleSelect(option)}
-                  isSelected={selectedOption?.id === option.id}
+                  isSelected={quiz.selectedId === option.id}
                   disabled={isAnswered}
+                  result={optionResult(quiz, option)}
+                  pinyinMode={pinyinMode}
+                  highlightIndex={reading?.key === option.id ? reading.index : null}
+                  onCharTap={handleCharTap}
+                  eliminated={isRuledOut(quiz, option)}
                 />
               ))}
             </div>
 
+            {/* Hints */}
+            <div className="mt-6 md:mt-8">
+              <HintBar
+                question={currentQuestion}
+                used={quiz.hints}
+                disabled={isAnswered || quiz.triedIds.length > 0}
+                onEliminate={handleEliminate}
+                onMascotHint={handleMascotHint}
+              />
+            </div>
+
+            {/* Why that's the answer */}
+            {isAnswered && (
+              <div className="mt-6 md:mt-8">
+                <AnswerExplanation question={currentQuestion} />
+              </div>
+            )}
+
             {/* Submit / Next Button */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               className="mt-8 md:mt-12 flex justify-center"
             >
-              {feedback === 'incorrect' ? (
+              {isAnswered && (quiz.feedback !== 'correct' || currentQuestion.explanation) ? (
                 <motion.button
                   initial={{ opacity: 0, scale: 0.9 }}
                   animate={{ opacity: 1, scale: 1 }}
@@ -320,15 +904,15 @@ function App() {
                 </motion.button>
               ) : (
                 <motion.button
-                  whileHover={selectedOption && !isAnswered ? { scale: 1.05 } : {}}
-                  whileTap={selectedOption && !isAnswered ? { scale: 0.95 } : {}}
+                  whileHover={quiz.selectedId && !isAnswered ? { scale: 1.05 } : {}}
+                  whileTap={quiz.selectedId && !isAnswered ? { scale: 0.95 } : {}}
                   onClick={handleSubmit}
-                  disabled={!selectedOption || isAnswered}
+                  disabled={!quiz.selectedId || isAnswered}
                   className={`
                     flex items-center justify-center gap-3 
                     text-xl md:text-2xl font-black py-4 md:py-5 px-10 md:px-16 
                     rounded-full md:rounded-[2rem] shadow-xl transition-all duration-300
-                    ${selectedOption && !isAnswered
+                    ${quiz.selectedId && !isAnswered
                       ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white cursor-pointer hover:shadow-2xl hover:shadow-indigo-300/40'
                       : 'bg-gray-200 text-gray-400 cursor-not-allowed'}
                   `}
@@ -342,7 +926,7 @@ function App() {
         </AnimatePresence>
 
         <AnimatePresence>
-          {feedback && (
+          {quiz.feedback && (
             <motion.div
               initial={{ opacity: 0, y: 50, scale: 0.8 }}
               animate={{ opacity: 1, y: 0, scale: 1 }}
@@ -351,10 +935,10 @@ function App() {
                 fixed bottom-6 md:bottom-10 left-1/2 transform -translate-x-1/2 
                 px-8 py-4 md:px-12 md:py-6 rounded-full md:rounded-[3rem] 
                 text-xl md:text-3xl font-black shadow-2xl flex items-center gap-3 md:gap-4 z-50
-                ${feedback === 'correct' ? 'bg-indigo-500 text-white' : 'bg-rose-400 text-white'}
+                ${{ correct: 'bg-indigo-500', retry: 'bg-amber-400', incorrect: 'bg-rose-400' }[quiz.feedback]} text-white
               `}
             >
-              {feedback === 'correct' ? (
+              {quiz.feedback === 'correct' ? (
                 <>{feedbackText} <Sparkles className="w-6 h-6 md:w-8 md:h-8" /></>
               ) : (
                 <>{feedbackText} 🐣</>
@@ -363,6 +947,9 @@ function App() {
           )}
         </AnimatePresence>
       </main>
+
+      {settingsPanel}
+      {stickerUnlock}
     </div>
   );
 }
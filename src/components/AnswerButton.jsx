@@ -1,25 +1,63 @@
+import { useState } from 'react';
 import { motion } from 'framer-motion';
-import { speakChar } from '../utils/tts';
+import { Check, X, Volume2 } from 'lucide-react';
+import { speakChar, speakChars } from '../utils/tts';
+import PinyinRuby from './PinyinRuby';
 
-export default function AnswerButton({ answer, pronunciation, onClick, isSelected, disabled }) {
-    const handleCharClick = (e, char) => {
+// Post-submit look for each result: correct answer, the child's wrong pick, everything else
+const RESULT_STYLES = {
+    correct: 'bg-gradient-to-br from-emerald-400 to-green-500 border-emerald-600 shadow-2xl shadow-emerald-300/60 scale-[1.03]',
+    wrong: 'bg-gradient-to-br from-rose-400 to-pink-500 border-rose-600 shadow-xl shadow-rose-300/50',
+    neutral: 'glass-card border-blue-100',
+};
+
+const RESULT_ANIMATIONS = {
+    correct: { opacity: 1, y: 0, scale: [1, 1.08, 1], transition: { duration: 0.5 } },
+    wrong: { opacity: 1, y: 0, x: [0, -10, 10, -6, 6, 0], transition: { duration: 0.5 } },
+    neutral: { opacity: 0.5, y: 0 },
+};
+
+/**
+ * @param {'correct'|'wrong'|'neutral'|null} result - set once the question is submitted
+ * @param {number|null} highlightIndex - character being read aloud (朗读题目)
+ * @param {(char: string) => void} [onCharTap] - a character was tapped to hear it
+ * @param {boolean} [eliminated] - taken away by the 50/50 hint; greyed out and not selectable
+ */
+export default function AnswerButton({ answer, pronunciation, onClick, isSelected, disabled, result = null, pinyinMode = 'always', highlightIndex = null, onCharTap, eliminated = false }) {
+    const [tappedIndex, setTappedIndex] = useState(null);
+    const chars = [...answer.text];
+
+    // Position-specific entry first, falling back to the question's per-character map
+    const infoAt = (char, index) => answer.charPronunciation?.[index] ?? pronunciation?.[char];
+
+    const handleCharClick = (e, char, index) => {
         e.stopPropagation();
-        if (!char.trim()) return;
-        const info = pronunciation?.[char];
+        if (!char.trim() || eliminated) return;
+        setTappedIndex(index);
+        const info = infoAt(char, index);
         if (info?.audioFile) {
             speakChar(info.audioFile);
+            onCharTap?.(char);
         }
         // Also select this option
         onClick(answer);
     };
 
+    const handleReadAloud = (e) => {
+        e.stopPropagation();
+        speakChars(chars.map((char, index) => infoAt(char, index)?.audioFile));
+    };
+
+    const isHighlighted = isSelected || result === 'correct' || result === 'wrong';
 
     return (
         <motion.div
-            whileHover={{ scale: 1.02, y: -3 }}
-            whileTap={{ scale: 0.98 }}
+            whileHover={!disabled && !eliminated ? { scale: 1.02, y: -3 } : {}}
+            whileTap={!disabled && !eliminated ? { scale: 0.98 } : {}}
             initial={{ opacity: 0, y: 10 }}
-            animate={{ opacity: 1, y: 0 }}
+            animate={eliminated
+                ? { opacity: 0.25, y: 0, scale: 0.95 }
+                : RESULT_ANIMATIONS[result] ?? { opacity: 1, y: 0 }}
             onClick={() => onClick(answer)}
             className={`
         relative group overflow-hidden cursor-pointer
@@ -27,31 +65,71 @@ export default function AnswerButton({ answer, pronunciation, onClick, isSelecte
         transition-all duration-300
         border-b-4 md:border-b-8 active:border-b-0
         flex flex-col items-center justify-center gap-2 w-full min-h-[80px] md:min-h-[120px]
-        ${isSelected
-                    ? 'bg-gradient-to-br from-indigo-500 to-purple-600 border-indigo-700 shadow-2xl shadow-indigo-300/60 scale-[1.03]'
-                    : 'glass-card border-blue-100 hover:border-indigo-200'}
-        ${disabled ? 'opacity-50 cursor-not-allowed' : ''}
+        ${result
+                    ? RESULT_STYLES[result]
+                    : isSelected
+                        ? 'bg-gradient-to-br from-indigo-500 to-purple-600 border-indigo-700 shadow-2xl shadow-indigo-300/60 scale-[1.03]'
+                        : 'glass-card border-blue-100 hover:border-indigo-200'}
+        ${disabled ? 'cursor-not-allowed' : ''}
+        ${eliminated ? 'line-through grayscale pointer-events-none' : ''}
       `}
         >
-            <div className={`absolute inset-0 transition-opacity ${isSelected ? 'bg-gradient-to-br from-white/10 to-transparent opacity-100' : 'bg-gradient-to-br from-white/40 to-transparent opacity-0 group-hover:opacity-100'}`} />
+            <div className={`absolute inset-0 transition-opacity ${isHighlighted ? 'bg-gradient-to-br from-white/10 to-transparent opacity-100' : 'bg-gradient-to-br from-white/40 to-transparent opacity-0 group-hover:opacity-100'}`} />
 
             <div className="flex flex-wrap justify-center items-end gap-x-1 gap-y-2 relative z-10">
-                {[...answer.text].map((char, index) => (
+                {chars.map((char, index) => (
                     <span
                         key={index}
-                        onClick={(e) => handleCharClick(e, char)}
-                        className={`text-2xl md:text-4xl font-bold leading-none cursor-pointer active:scale-90 transition-all
-                            ${isSelected
-                                ? 'text-white hover:text-yellow-200'
-                                : 'text-gray-800 hover:text-indigo-500'}`}
+                        onClick={(e) => handleCharClick(e, char, index)}
+                        className={`text-2xl md:text-4xl font-bold leading-none cursor-pointer active:scale-90 transition-all inline-block
+                            ${highlightIndex === index
+                                ? `scale-125 ${isHighlighted ? 'text-yellow-200' : 'text-indigo-600'}`
+                                : isHighlighted
+                                    ? 'text-white hover:text-yellow-200'
+                                    : 'text-gray-800 hover:text-indigo-500'}`}
                     >
-                        {char}
+                        <PinyinRuby
+                            char={char}
+                            pinyin={infoAt(char, index)?.pinyin}
+                            mode={pinyinMode}
+                            revealed={tappedIndex === index || highlightIndex === index}
+                        />
                     </span>
                 ))}
             </div>
 
+            {/* Result badge */}
+            {(result === 'correct' || result === 'wrong') && (
+                <motion.div
+                    initial={{ scale: 0, rotate: -90 }}
+                    animate={{ scale: 1, rotate: 0 }}
+                    transition={{ type: 'spring', stiffness: 300, damping: 15 }}
+                    className="absolute top-2 left-2 md:top-3 md:left-3 bg-white rounded-full p-1 shadow-md z-20"
+                >
+                    {result === 'correct'
+                        ? <Check className="w-4 h-4 md:w-5 md:h-5 text-emerald-500" strokeWidth={3} />
+                        : <X className="w-4 h-4 md:w-5 md:h-5 text-rose-500" strokeWidth={3} />}
+                </motion.div>
+            )}
+
+            {/* Read the correct answer aloud */}
+            {result === 'correct' && (
+                <motion.button
+                    initial={{ opacity: 0, scale: 0.5 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={handleReadAloud}
+                    aria-label="朗读正确答案"
+                    className="relative z-20 mt-1 bg-white/90 text-emerald-600 rounded-full px-3 py-1 flex items-center gap-1 text-xs md:text-sm font-bold shadow cursor-pointer"
+                >
+                    <Volume2 className="w-4 h-4" />
+                    听答案
+                </motion.button>
+            )}
+
             {/* Decorative dots */}
-            <div className={`absolute top-3 right-3 md:top-4 md:right-4 w-1.5 h-1.5 md:w-2 md:h-2 rounded-full ${isSelected ? 'bg-white/40' : 'bg-indigo-200'}`} />
+            <div className={`absolute top-3 right-3 md:top-4 md:right-4 w-1.5 h-1.5 md:w-2 md:h-2 rounded-full ${isHighlighted ? 'bg-white/40' : 'bg-indigo-200'}`} />
         </motion.div>
     );
 }
@@ -0,0 +1,34 @@
+import { motion } from 'framer-motion';
+import { CircleQuestionMark, Volume2 } from 'lucide-react';
+import { playQueue } from '../utils/tts';
+
+/**
+ * 为什么？ — the wordplay behind the answer, shown once the question is answered.
+ * Tap to hear it again.
+ *
+ * @param {object} question - the current question; renders nothing without `explanation`
+ */
+export default function AnswerExplanation({ question }) {
+    if (!question.explanation) return null;
+
+    const answer = question.options.find(o => o.isCorrect);
+
+    return (
+        <motion.button
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.3 }}
+            onClick={() => playQueue([question.explanationAudioFile])}
+            className="w-full max-w-2xl mx-auto glass-card rounded-3xl px-5 py-4 md:px-8 md:py-6 text-left flex items-start gap-3 md:gap-4 cursor-pointer border-2 border-emerald-100"
+        >
+            <CircleQuestionMark className="w-6 h-6 md:w-7 md:h-7 text-emerald-500 shrink-0 mt-0.5" />
+            <div className="flex-1">
+                <div className="font-black text-emerald-600 mb-1">
+                    为什么是「{answer?.text}」？
+                </div>
+                <p className="text-gray-700 font-bold text-lg md:text-xl leading-relaxed">{question.explanation}</p>
+            </div>
+            {question.explanationAudioFile && <Volume2 className="w-5 h-5 text-indigo-400 shrink-0 mt-1" />}
+        </motion.button>
+    );
+}
@@ -0,0 +1,57 @@
+import { motion } from 'framer-motion';
+import { Shuffle } from 'lucide-react';
+import { categories } from '../data/questions';
+
+// selected: array of category ids; an empty array means "mixed" (all categories)
+export default function CategoryPicker({ selected, onChange }) {
+    const isMixed = selected.length === 0;
+    const total = categories.reduce((sum, c) => sum + c.count, 0);
+
+    const toggle = (id) => {
+        const next = selected.includes(id)
+            ? selected.filter(s => s !== id)
+            : [...selected, id];
+        // Picking every category is the same as mixed
+        onChange(next.length === categories.length ? [] : next);
+    };
+
+    const cardClass = (active) => `
+        rounded-2xl px-2 py-3 flex flex-col items-center gap-1 cursor-pointer
+        border-b-4 transition-all duration-300
+        ${active
+            ? 'bg-gradient-to-br from-indigo-500 to-purple-600 border-indigo-700 text-white shadow-lg shadow-indigo-300/50'
+            : 'glass-card border-blue-100 text-gray-700 hover:border-indigo-200'}
+    `;
+
+    return (
+        <div className="grid grid-cols-3 gap-2 md:gap-3 mb-8 md:mb-10">
+            <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => onChange([])}
+                className={cardClass(isMixed)}
+            >
+                <Shuffle className="w-6 h-6 md:w-7 md:h-7" />
+                <span className="text-base md:text-lg font-black">混合</span>
+                <span className={`text-xs font-bold ${isMixed ? 'text-white/80' : 'text-gray-400'}`}>{total} 题</span>
+            </motion.button>
+
+            {categories.map((c) => {
+                const active = selected.includes(c.id);
+                return (
+                    <motion.button
+                        key={c.id}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => toggle(c.id)}
+                        className={cardClass(active)}
+                    >
+                        <span className="text-2xl md:text-3xl leading-none">{c.emoji}</span>
+                        <span className="text-base md:text-lg font-black">{c.label}</span>
+                        <span className={`text-xs font-bold ${active ? 'text-white/80' : 'text-gray-400'}`}>{c.count} 题</span>
+                    </motion.button>
+                );
+            })}
+        </div>
+    );
+}
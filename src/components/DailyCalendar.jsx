@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, ChevronLeft, ChevronRight, Flame } from 'lucide-react';
+import { dateKey, dailyStreak } from '../utils/daily';
+
+const WEEKDAYS = ['一', '二', '三', '四', '五', '六', '日'];
+
+// Cells for one month, weeks starting on Monday; null pads the first week
+const monthCells = (year, month) => {
+    const firstWeekday = (new Date(year, month, 1).getDay() + 6) % 7;
+    const days = new Date(year, month + 1, 0).getDate();
+    return [
+        ...Array(firstWeekday).fill(null),
+        ...Array.from({ length: days }, (_, i) => new Date(year, month, i + 1)),
+    ];
+};
+
+function Month({ daily }) {
+    const today = new Date();
+    const [shown, setShown] = useState({ year: today.getFullYear(), month: today.getMonth() });
+    const isCurrentMonth = shown.year === today.getFullYear() && shown.month === today.getMonth();
+
+    const step = (delta) => {
+        const d = new Date(shown.year, shown.month + delta, 1);
+        setShown({ year: d.getFullYear(), month: d.getMonth() });
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <button onClick={() => step(-1)} aria-label="上个月" className="p-2 rounded-full text-gray-400 hover:text-indigo-500 cursor-pointer">
+                    <ChevronLeft className="w-5 h-5" />
+                </button>
+                <span className="font-black text-gray-700">{shown.year} 年 {shown.month + 1} 月</span>
+                <button
+                    onClick={() => step(1)}
+                    disabled={isCurrentMonth}
+                    aria-label="下个月"
+                    className="p-2 rounded-full text-gray-400 hover:text-indigo-500 cursor-pointer disabled:opacity-30 disabled:cursor-default"
+                >
+                    <ChevronRight className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-7 gap-1 text-center">
+                {WEEKDAYS.map(w => (
+                    <span key={w} className="text-xs font-bold text-gray-400 pb-1">{w}</span>
+                ))}
+                {monthCells(shown.year, shown.month).map((date, i) => {
+                    if (!date) return <span key={`pad-${i}`} />;
+                    const key = dateKey(date);
+                    const result = daily[key];
+                    const isToday = key === dateKey(today);
+                    const perfect = result && result.score === result.total;
+                    return (
+                        <div
+                            key={key}
+                            title={result ? `${result.score}/${result.total}` : undefined}
+                            className={`aspect-square rounded-xl flex flex-col items-center justify-center text-sm font-bold
+                                ${result
+                                    ? perfect ? 'bg-amber-400 text-white' : 'bg-indigo-400 text-white'
+                                    : 'bg-white/60 text-gray-400'}
+                                ${isToday ? 'ring-2 ring-indigo-500 ring-offset-1' : ''}`}
+                        >
+                            {date.getDate()}
+                            {result && <span className="text-[10px] leading-none opacity-90">{result.score}/{result.total}</span>}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// Past 今日挑战 results by month, with the current streak
+export default function DailyCalendar({ open, daily, onClose }) {
+    const streak = dailyStreak(daily);
+
+    return (
+        <AnimatePresence>
+            {open && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 z-[60] bg-gray-900/30 backdrop-blur-sm flex items-center justify-center p-4"
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, y: 20 }}
+                        animate={{ scale: 1, y: 0 }}
+                        exit={{ scale: 0.9, y: 20 }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="glass-card rounded-[2rem] p-6 md:p-8 w-full max-w-md relative overflow-hidden"
+                    >
+                        <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500" />
+
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-black text-gray-800">挑战日历</h2>
+                            <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={onClose}
+                                aria-label="关闭"
+                                className="p-2 rounded-full text-gray-400 hover:text-gray-600 cursor-pointer"
+                            >
+                                <X className="w-6 h-6" />
+                            </motion.button>
+                        </div>
+
+                        <div className="flex items-center justify-center gap-2 mb-4 text-orange-500 font-black text-lg">
+                            <Flame className="w-6 h-6" />
+                            {streak > 0 ? `已连续 ${streak} 天` : '今天开始连续挑战吧！'}
+                        </div>
+
+                        <Month daily={daily} />
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Lightbulb, Scissors, MessageCircle, Volume2 } from 'lucide-react';
+import { playQueue } from '../utils/tts';
+
+const mascotImg = `${import.meta.env.BASE_URL}mascot.png`;
+
+/**
+ * 💡 提示 — remove one wrong option (50/50) or hear the mascot's hint.
+ * Each can be used once per question; using either lowers the question's score.
+ *
+ * @param {object} question - the current question; `hint` is optional
+ * @param {{ eliminated: string|null, mascot: boolean }} used - hints already used on this question
+ * @param {boolean} disabled - after the answer is submitted
+ */
+export default function HintBar({ question, used, disabled, onEliminate, onMascotHint }) {
+    const [open, setOpen] = useState(false);
+
+    const canEliminate = !used.eliminated && question.options.filter(o => !o.isCorrect).length >= 2;
+    const canMascot = !used.mascot && !!question.hint;
+    const anyLeft = canEliminate || canMascot;
+
+    const playHint = () => playQueue([question.hintAudioFile]);
+
+    const handleMascot = () => {
+        setOpen(false);
+        onMascotHint();
+        playHint();
+    };
+
+    const handleEliminate = () => {
+        setOpen(false);
+        onEliminate();
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-3">
+            <div className="relative">
+                <motion.button
+                    whileHover={anyLeft && !disabled ? { scale: 1.05 } : {}}
+                    whileTap={anyLeft && !disabled ? { scale: 0.95 } : {}}
+                    onClick={() => setOpen(!open)}
+                    disabled={!anyLeft || disabled}
+                    className={`flex items-center gap-2 px-5 py-2 rounded-full font-bold border-2 transition-colors
+                        ${anyLeft && !disabled
+                            ? 'bg-yellow-50 text-amber-500 border-yellow-200 cursor-pointer hover:bg-yellow-100'
+                            : 'bg-gray-100 text-gray-300 border-gray-200 cursor-not-allowed'}`}
+                >
+                    <Lightbulb className="w-5 h-5" />
+                    提示
+                    <span className="text-xs font-bold opacity-70">（得分减半）</span>
+                </motion.button>
+
+                <AnimatePresence>
+                    {open && !disabled && (
+                        <motion.div
+                            initial={{ opacity: 0, y: 8, scale: 0.95 }}
+                            animate={{ opacity: 1, y: 0, scale: 1 }}
+                            exit={{ opacity: 0, y: 8, scale: 0.95 }}
+                            className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 glass-card rounded-2xl p-2 flex flex-col gap-1 w-56 z-30"
+                        >
+                            <button
+                                onClick={handleEliminate}
+                                disabled={!canEliminate}
+                                className="flex items-center gap-2 px-3 py-2 rounded-xl font-bold text-gray-700 hover:bg-indigo-50 cursor-pointer disabled:opacity-30 disabled:cursor-default"
+                            >
+                                <Scissors className="w-5 h-5 text-indigo-400" />
+                                去掉一个错误答案
+                            </button>
+                            <button
+                                onClick={handleMascot}
+                                disabled={!canMascot}
+                                className="flex items-center gap-2 px-3 py-2 rounded-xl font-bold text-gray-700 hover:bg-indigo-50 cursor-pointer disabled:opacity-30 disabled:cursor-default"
+                            >
+                                <MessageCircle className="w-5 h-5 text-indigo-400" />
+                                听小鸡说提示
+                            </button>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+            </div>
+
+            {/* Mascot speech bubble */}
+            <AnimatePresence>
+                {used.mascot && (
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.8, y: 10 }}
+                        animate={{ opacity: 1, scale: 1, y: 0 }}
+                        className="flex items-center gap-3 max-w-md"
+                    >
+                        <img src={mascotImg} alt="小鸡" className="w-12 h-12 md:w-14 md:h-14 object-contain shrink-0" />
+                        <button
+                            onClick={playHint}
+                            className="relative bg-white rounded-2xl px-4 py-3 shadow-lg text-left text-gray-700 font-bold flex items-center gap-2 cursor-pointer"
+                        >
+                            <span className="absolute -left-2 top-1/2 -translate-y-1/2 w-0 h-0 border-y-8 border-y-transparent border-r-8 border-r-white" />
+                            {question.hint}
+                            <Volume2 className="w-4 h-4 text-indigo-400 shrink-0" />
+                        </button>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Download, CheckCircle2 } from 'lucide-react';
+import { questions, categories } from '../data/questions';
+import { questionAudioFiles } from '../utils/tts';
+import { isOfflineSupported, countCachedAudio, downloadAudio } from '../utils/offline';
+
+// Key of the 全部下载 button alongside the category ids
+const ALL = 'all';
+
+const audioForType = (type) => [...new Set(type === ALL
+    ? categories.flatMap(c => audioForType(c.id))
+    : questions.filter(q => q.type === type).flatMap(questionAudioFiles)
+)];
+
+// type (or ALL) → number of its audio files already in the offline cache
+const countCachedByType = async () => {
+    const counts = {};
+    for (const type of [...categories.map(c => c.id), ALL]) {
+        counts[type] = await countCachedAudio(audioForType(type));
+    }
+    return counts;
+};
+
+// Per-category and 全部下载 "download for offline" buttons, shown in the settings panel
+export default function OfflineDownloads() {
+    const [cached, setCached] = useState({});       // type → cached file count
+    const [downloading, setDownloading] = useState(null); // { type, done, total }
+    const [failed, setFailed] = useState(false);      // the last download left files behind
+
+    // Where the cache can't be read (e.g. private mode), everything counts as not downloaded
+    useEffect(() => {
+        if (isOfflineSupported()) countCachedByType().then(setCached).catch(() => setCached({}));
+    }, []);
+
+    if (!isOfflineSupported()) return null;
+
+    const handleDownload = async (type) => {
+        if (downloading) return;
+        setDownloading({ type, done: 0, total: audioForType(type).length });
+        setFailed(false);
+        // Files that fail (a 404, a full quota) and a cache that can't be opened
+        // at all both end in the same message; the buttons come back either way
+        try {
+            const result = await downloadAudio(audioForType(type), (done, total) => setDownloading({ type, done, total }));
+            setFailed(result.failed > 0);
+            setCached(await countCachedByType());
+        } catch {
+            setFailed(true);
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const allTotal = audioForType(ALL).length;
+    const allDone = allTotal > 0 && cached[ALL] >= allTotal;
+    const allProgress = downloading?.type === ALL ? downloading : null;
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex items-center gap-3">
+                <Download className="w-5 h-5 text-indigo-400 shrink-0" />
+                <span className="font-bold text-gray-700">离线下载</span>
+                <span className="text-xs font-bold text-gray-400">没有网络也能听读音</span>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {categories.map((c) => {
+                    const total = audioForType(c.id).length;
+                    const isDone = total > 0 && cached[c.id] >= total;
+                    const progress = downloading?.type === c.id ? downloading : null;
+                    return (
+                        <motion.button
+                            key={c.id}
+                            whileTap={{ scale: 0.95 }}
+                            onClick={() => handleDownload(c.id)}
+                            disabled={isDone || total === 0 || !!downloading}
+                            className={`flex items-center gap-2 px-3 py-2 rounded-2xl text-sm font-bold border-2 cursor-pointer transition-colors disabled:cursor-default
+                                ${isDone
+                                    ? 'bg-emerald-50 text-emerald-600 border-emerald-100'
+                                    : 'bg-white text-gray-600 border-blue-100 hover:border-indigo-200'}`}
+                        >
+                            <span className="text-lg leading-none">{c.emoji}</span>
+                            <span className="flex-1 text-left">{c.label}</span>
+                            {isDone
+                                ? <CheckCircle2 className="w-4 h-4" />
+                                : <span className="text-xs text-gray-400">
+                                    {progress ? `${progress.done}/${progress.total}` : `${cached[c.id] ?? 0}/${total}`}
+                                </span>}
+                        </motion.button>
+                    );
+                })}
+                <motion.button
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => handleDownload(ALL)}
+                    disabled={allDone || allTotal === 0 || !!downloading}
+                    className={`col-span-2 flex items-center justify-center gap-2 px-3 py-2 rounded-2xl text-sm font-bold border-2 cursor-pointer transition-colors disabled:cursor-default
+                        ${allDone
+                            ? 'bg-emerald-50 text-emerald-600 border-emerald-100'
+                            : 'bg-indigo-50 text-indigo-600 border-indigo-100 hover:border-indigo-200'}`}
+                >
+                    {allDone ? <CheckCircle2 className="w-4 h-4" /> : <Download className="w-4 h-4" />}
+                    <span>{allDone ? '已全部下载' : '全部下载'}</span>
+                    {!allDone && (
+                        <span className="text-xs text-indigo-300">
+                            {allProgress ? `${allProgress.done}/${allProgress.total}` : `${cached[ALL] ?? 0}/${allTotal}`}
+                        </span>
+                    )}
+                </motion.button>
+            </div>
+            {failed && (
+                <p role="alert" className="text-xs font-bold text-rose-500 text-center">下载失败，再试一次</p>
+            )}
+        </div>
+    );
+}
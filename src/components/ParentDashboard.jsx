@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, FileJson, FileSpreadsheet } from 'lucide-react';
+import { questions, categories } from '../data/questions';
+import { loadLog, logToCsv } from '../utils/log';
+import { accuracyByType, attemptsByDay, averageTimeMs, mostMissed, mostTappedChars, totalAnswers } from '../utils/stats';
+import { downloadFile } from '../utils/download';
+import ParentGate from './ParentGate';
+
+function Section({ title, children }) {
+    return (
+        <section className="flex flex-col gap-2">
+            <h3 className="font-black text-gray-700">{title}</h3>
+            {children}
+        </section>
+    );
+}
+
+const formatDay = (time) => {
+    const d = new Date(time);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+};
+
+function Dashboard({ profile }) {
+    const [log] = useState(loadLog);
+    const accuracy = accuracyByType(log);
+    const days = attemptsByDay(log);
+    const maxPerDay = Math.max(1, ...days.map(d => d.answered));
+    const avgTime = averageTimeMs(log);
+    const missed = mostMissed(log);
+    const tapped = mostTappedChars(log);
+    const answered = totalAnswers(log);
+
+    const fileBase = `brain-teaser-${profile.name}-${new Date().toISOString().slice(0, 10)}`;
+    const exportJson = () => downloadFile(
+        `${fileBase}.json`,
+        JSON.stringify({ profile, exportedAt: new Date().toISOString(), log }, null, 2),
+    );
+    const exportCsv = () => downloadFile(`${fileBase}.csv`, logToCsv(log), 'text/csv');
+
+    if (answered === 0) {
+        return <p className="text-gray-400 font-bold py-8 text-center">{profile.name} 还没有答过题</p>;
+    }
+
+    return (
+        <div className="flex flex-col gap-6 text-left">
+            <div className="grid grid-cols-2 gap-3">
+                <div className="bg-white/70 rounded-2xl p-3 text-center">
+                    <div className="text-2xl font-black text-indigo-600">{answered}</div>
+                    <div className="text-xs font-bold text-gray-400">答题总数</div>
+                </div>
+                <div className="bg-white/70 rounded-2xl p-3 text-center">
+                    <div className="text-2xl font-black text-indigo-600">
+                        {avgTime === null ? '—' : `${(avgTime / 1000).toFixed(1)} 秒`}
+                    </div>
+                    <div className="text-xs font-bold text-gray-400">平均每题用时</div>
+                </div>
+            </div>
+
+            <Section title="各题型正确率">
+                {categories.filter(c => accuracy[c.id]).map((c) => {
+                    const { answered, correct } = accuracy[c.id];
+                    const percent = Math.round((correct / answered) * 100);
+                    return (
+                        <div key={c.id} className="flex items-center gap-2 text-sm">
+                            <span className="w-16 shrink-0 font-bold text-gray-600">{c.emoji} {c.label}</span>
+                            <div className="flex-1 h-3 bg-white/70 rounded-full overflow-hidden">
+                                <div className="h-full bg-gradient-to-r from-indigo-400 to-purple-400" style={{ width: `${percent}%` }} />
+                            </div>
+                            <span className="w-20 shrink-0 text-right font-bold text-gray-500">{percent}% ({correct}/{answered})</span>
+                        </div>
+                    );
+                })}
+            </Section>
+
+            <Section title="最近 14 天答题数">
+                <div className="flex items-end gap-1 h-24">
+                    {days.map(({ day, answered, correct }) => (
+                        <div key={day} className="flex-1 flex flex-col items-center justify-end h-full" title={`${formatDay(day)}：${correct}/${answered}`}>
+                            <div className="w-full flex flex-col justify-end rounded-t-md overflow-hidden bg-rose-200" style={{ height: `${(answered / maxPerDay) * 100}%` }}>
+                                <div className="w-full bg-emerald-400" style={{ height: answered ? `${(correct / answered) * 100}%` : 0 }} />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-between text-[10px] font-bold text-gray-400">
+                    <span>{formatDay(days[0].day)}</span>
+                    <span>绿色 = 答对，红色 = 答错</span>
+                    <span>今天</span>
+                </div>
+            </Section>
+
+            {missed.length > 0 && (
+                <Section title="错得最多的题">
+                    <ul className="flex flex-col gap-1 text-sm">
+                        {missed.map(({ questionId, misses, answered }) => (
+                            <li key={questionId} className="flex justify-between gap-2 bg-white/70 rounded-xl px-3 py-2">
+                                <span className="text-gray-700">{questions.find(q => q.id === questionId)?.text ?? `#${questionId}`}</span>
+                                <span className="shrink-0 font-bold text-rose-400">错 {misses}/{answered}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </Section>
+            )}
+
+            {tapped.length > 0 && (
+                <Section title="点得最多的字（可能还不认识）">
+                    <div className="flex flex-wrap gap-2">
+                        {tapped.map(({ char, taps }) => (
+                            <span key={char} className="bg-white/70 rounded-xl px-3 py-1 flex items-baseline gap-1">
+                                <span className="text-2xl font-black text-gray-800">{char}</span>
+                                <span className="text-xs font-bold text-gray-400">×{taps}</span>
+                            </span>
+                        ))}
+                    </div>
+                </Section>
+            )}
+
+            <Section title="导出原始记录">
+                <div className="grid grid-cols-2 gap-2">
+                    <button onClick={exportCsv} className="flex items-center justify-center gap-2 py-3 rounded-2xl bg-white font-bold text-gray-600 hover:text-indigo-500 cursor-pointer">
+                        <FileSpreadsheet className="w-5 h-5" /> CSV
+                    </button>
+                    <button onClick={exportJson} className="flex items-center justify-center gap-2 py-3 rounded-2xl bg-white font-bold text-gray-600 hover:text-indigo-500 cursor-pointer">
+                        <FileJson className="w-5 h-5" /> JSON
+                    </button>
+                </div>
+            </Section>
+        </div>
+    );
+}
+
+// Parent view of the active profile's learning statistics, behind a math gate
+export default function ParentDashboard({ open, profile, onClose }) {
+    const [unlocked, setUnlocked] = useState(false);
+
+    const handleClose = () => {
+        setUnlocked(false);
+        onClose();
+    };
+
+    return (
+        <AnimatePresence>
+            {open && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={handleClose}
+                    className="fixed inset-0 z-[60] bg-gray-900/30 backdrop-blur-sm flex items-center justify-center p-4"
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, y: 20 }}
+                        animate={{ scale: 1, y: 0 }}
+                        exit={{ scale: 0.9, y: 20 }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="glass-card rounded-[2rem] p-6 md:p-8 w-full max-w-lg max-h-[90vh] overflow-y-auto relative"
+                    >
+                        <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500" />
+
+                        <div className="flex items-center justify-between mb-6">
+                            <h2 className="text-2xl font-black text-gray-800">
+                                家长中心 <span className="text-lg text-gray-400">{profile.avatar} {profile.name}</span>
+                            </h2>
+                            <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={handleClose}
+                                aria-label="关闭"
+                                className="p-2 rounded-full text-gray-400 hover:text-gray-600 cursor-pointer"
+                            >
+                                <X className="w-6 h-6" />
+                            </motion.button>
+                        </div>
+
+                        {unlocked
+                            ? <Dashboard profile={profile} />
+                            : <ParentGate onUnlock={() => setUnlocked(true)} />}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Lock } from 'lucide-react';
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+// A multiplication young children can't do in their head keeps them out of
+// the parent view and away from deleting or exporting a profile
+export default function ParentGate({ onUnlock }) {
+    const [[a, b]] = useState(() => [randomInt(12, 19), randomInt(6, 9)]);
+    const [answer, setAnswer] = useState('');
+    const [wrong, setWrong] = useState(false);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (Number(answer) === a * b) {
+            onUnlock();
+        } else {
+            setWrong(true);
+            setAnswer('');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-col items-center gap-4 py-4">
+            <Lock className="w-10 h-10 text-indigo-300" />
+            <p className="font-bold text-gray-600">请家长回答</p>
+            <p className="text-3xl font-black text-gray-800">{a} × {b} = ?</p>
+            <motion.input
+                animate={wrong ? { x: [0, -8, 8, -4, 4, 0] } : {}}
+                value={answer}
+                onChange={(e) => { setAnswer(e.target.value); setWrong(false); }}
+                inputMode="numeric"
+                autoFocus
+                className={`w-32 px-4 py-3 rounded-2xl border-2 outline-none text-center text-2xl font-bold bg-white
+                    ${wrong ? 'border-rose-300' : 'border-indigo-100 focus:border-indigo-400'}`}
+            />
+            <button
+                type="submit"
+                className="px-8 py-3 rounded-2xl font-black text-white bg-gradient-to-r from-indigo-500 to-purple-600 shadow cursor-pointer"
+            >
+                进入
+            </button>
+        </form>
+    );
+}
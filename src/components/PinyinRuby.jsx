@@ -0,0 +1,19 @@
+/**
+ * A character with its pinyin annotation above it (<ruby>/<rt>).
+ *
+ * mode: 'always' shows the pinyin, 'tap' only while `revealed`, 'never' renders
+ * the bare character. Hidden pinyin keeps its space so lines don't jump.
+ */
+export default function PinyinRuby({ char, pinyin, mode, revealed = false }) {
+    if (mode === 'never') return char;
+
+    const visible = !!pinyin && (mode === 'always' || revealed);
+    return (
+        <ruby>
+            {char}
+            <rt className={`text-[0.4em] font-bold tracking-normal opacity-70 pb-1 select-none ${visible ? '' : 'invisible'}`}>
+                {pinyin || ' '}
+            </rt>
+        </ruby>
+    );
+}
@@ -0,0 +1,30 @@
+import { motion } from 'framer-motion';
+import { PINYIN_MODES } from '../utils/settings';
+
+const LABELS = {
+    always: '显示',
+    tap: '点读',
+    never: '隐藏',
+};
+
+// Segmented control for how pinyin is shown: always / only on tap / never
+export default function PinyinToggle({ value, onChange }) {
+    return (
+        <div className="glass rounded-full p-1 flex items-center gap-1 border-2 border-white/50 shadow-lg text-xs md:text-sm font-bold">
+            <span className="pl-2 pr-1 text-indigo-400">拼音</span>
+            {PINYIN_MODES.map((mode) => (
+                <motion.button
+                    key={mode}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => onChange(mode)}
+                    className={`px-2 md:px-3 py-1 rounded-full transition-colors cursor-pointer
+                        ${value === mode
+                            ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow'
+                            : 'text-gray-500 hover:text-indigo-500'}`}
+                >
+                    {LABELS[mode]}
+                </motion.button>
+            ))}
+        </div>
+    );
+}
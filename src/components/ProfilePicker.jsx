@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Plus, Download, Trash2, Check, ArrowLeft } from 'lucide-react';
+import { AVATARS, MIN_AGE, MAX_AGE, loadProfiles, createProfile, deleteProfile, exportProfile } from '../utils/profiles';
+import { downloadFile } from '../utils/download';
+import ParentGate from './ParentGate';
+
+const AGES = Array.from({ length: MAX_AGE - MIN_AGE + 1 }, (_, i) => MIN_AGE + i);
+
+function NewProfileForm({ onCreate, onCancel }) {
+    const [name, setName] = useState('');
+    const [avatar, setAvatar] = useState(AVATARS[0]);
+    const [age, setAge] = useState(null);
+
+    const canSave = name.trim().length > 0;
+
+    return (
+        <div className="flex flex-col gap-5 text-left">
+            <label className="flex flex-col gap-2">
+                <span className="font-bold text-gray-600">名字</span>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={12}
+                    autoFocus
+                    placeholder="小朋友的名字"
+                    className="px-4 py-3 rounded-2xl border-2 border-indigo-100 focus:border-indigo-400 outline-none text-xl font-bold text-gray-800 bg-white"
+                />
+            </label>
+
+            <div className="flex flex-col gap-2">
+                <span className="font-bold text-gray-600">头像</span>
+                <div className="grid grid-cols-6 gap-2">
+                    {AVATARS.map((a) => (
+                        <motion.button
+                            key={a}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={() => setAvatar(a)}
+                            className={`text-3xl py-2 rounded-2xl cursor-pointer border-2 transition-colors
+                                ${avatar === a ? 'bg-indigo-100 border-indigo-400' : 'bg-white border-transparent'}`}
+                        >
+                            {a}
+                        </motion.button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex flex-col gap-2">
+                <span className="font-bold text-gray-600">年龄</span>
+                <div className="grid grid-cols-5 gap-2">
+                    {AGES.map((a) => (
+                        <motion.button
+                            key={a}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={() => setAge(age === a ? null : a)}
+                            className={`py-2 rounded-full font-bold cursor-pointer transition-colors
+                                ${age === a
+                                    ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow'
+                                    : 'bg-white text-gray-500 hover:text-indigo-500'}`}
+                        >
+                            {a} 岁
+                        </motion.button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex gap-3 pt-2">
+                <motion.button
+                    whileTap={{ scale: 0.95 }}
+                    onClick={onCancel}
+                    className="px-5 py-4 rounded-2xl font-bold text-gray-500 bg-white cursor-pointer flex items-center gap-1"
+                >
+                    <ArrowLeft className="w-5 h-5" />
+                    返回
+                </motion.button>
+                <motion.button
+                    whileTap={canSave ? { scale: 0.95 } : {}}
+                    onClick={() => canSave && onCreate({ name, avatar, age })}
+                    disabled={!canSave}
+                    className={`flex-1 py-4 rounded-2xl font-black text-xl flex items-center justify-center gap-2 transition-all
+                        ${canSave
+                            ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow-xl cursor-pointer'
+                            : 'bg-gray-200 text-gray-400 cursor-not-allowed'}`}
+                >
+                    <Check className="w-6 h-6" />
+                    就是我
+                </motion.button>
+            </div>
+        </div>
+    );
+}
+
+// "Who's playing?" — shown before the welcome screen
+export default function ProfilePicker({ onSelect }) {
+    const [profiles, setProfiles] = useState(loadProfiles);
+    const [adding, setAdding] = useState(profiles.length === 0);
+    const [confirmDelete, setConfirmDelete] = useState(null); // profile id awaiting a second tap
+    // Deleting and exporting are for parents; once past the gate they stay unlocked here
+    const [unlocked, setUnlocked] = useState(false);
+    const [gated, setGated] = useState(null); // the action waiting on the gate
+
+    const handleCreate = (info) => {
+        onSelect(createProfile(info));
+    };
+
+    const behindGate = (action) => (profile) => {
+        if (unlocked) action(profile);
+        else setGated(() => () => action(profile));
+    };
+
+    const handleUnlock = () => {
+        setUnlocked(true);
+        gated();
+        setGated(null);
+    };
+
+    const handleExport = behindGate((profile) => {
+        const data = exportProfile(profile.id);
+        downloadFile(`brain-teaser-${profile.name}.json`, JSON.stringify(data, null, 2));
+    });
+
+    const handleDelete = behindGate((profile) => {
+        if (confirmDelete !== profile.id) {
+            setConfirmDelete(profile.id);
+            return;
+        }
+        deleteProfile(profile.id);
+        const next = loadProfiles();
+        setProfiles(next);
+        setConfirmDelete(null);
+        if (next.length === 0) setAdding(true);
+    });
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4 bg-[#f8fafc] relative overflow-hidden">
+            <div className="absolute -top-20 -left-20 w-80 h-80 bg-indigo-100 rounded-full blur-[100px] opacity-60 pointer-events-none" />
+            <div className="absolute -bottom-20 -right-20 w-80 h-80 bg-yellow-100 rounded-full blur-[100px] opacity-60 pointer-events-none" />
+
+            <motion.div
+                initial={{ scale: 0.9, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                className="glass-card rounded-[2.5rem] md:rounded-[3.5rem] p-8 md:p-12 text-center max-w-lg w-full relative overflow-hidden"
+            >
+                <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500" />
+
+                <h1 className="text-3xl md:text-4xl font-black text-gray-800 mb-8">
+                    {adding ? '你好，新朋友！' : '谁来玩？'}
+                </h1>
+
+                {adding ? (
+                    <NewProfileForm
+                        onCreate={handleCreate}
+                        onCancel={() => profiles.length > 0 && setAdding(false)}
+                    />
+                ) : gated ? (
+                    <div className="flex flex-col items-center">
+                        <ParentGate onUnlock={handleUnlock} />
+                        <button
+                            onClick={() => setGated(null)}
+                            className="px-5 py-2 rounded-2xl font-bold text-gray-500 cursor-pointer flex items-center gap-1"
+                        >
+                            <ArrowLeft className="w-5 h-5" />
+                            返回
+                        </button>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-2 gap-3 md:gap-4">
+                        <AnimatePresence>
+                            {profiles.map((profile) => (
+                                <motion.div
+                                    key={profile.id}
+                                    layout
+                                    exit={{ opacity: 0, scale: 0.8 }}
+                                    className="glass-card rounded-3xl border-b-4 border-blue-100 p-4 flex flex-col items-center gap-1 relative"
+                                >
+                                    <motion.button
+                                        whileHover={{ scale: 1.05 }}
+                                        whileTap={{ scale: 0.95 }}
+                                        onClick={() => onSelect(profile)}
+                                        className="flex flex-col items-center gap-1 w-full cursor-pointer"
+                                    >
+                                        <span className="text-5xl md:text-6xl leading-none">{profile.avatar}</span>
+                                        <span className="text-xl font-black text-gray-800 truncate max-w-full">{profile.name}</span>
+                                        {profile.age && <span className="text-xs font-bold text-gray-400">{profile.age} 岁</span>}
+                                    </motion.button>
+                                    <div className="flex gap-1 mt-1">
+                                        <button
+                                            onClick={() => handleExport(profile)}
+                                            aria-label="导出"
+                                            className="p-1.5 rounded-full text-gray-400 hover:text-indigo-500 cursor-pointer"
+                                        >
+                                            <Download className="w-4 h-4" />
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(profile)}
+                                            aria-label="删除"
+                                            className={`p-1.5 rounded-full cursor-pointer flex items-center gap-1 text-xs font-bold
+                                                ${confirmDelete === profile.id ? 'bg-rose-500 text-white px-2' : 'text-gray-400 hover:text-rose-500'}`}
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                            {confirmDelete === profile.id && '确定删除？'}
+                                        </button>
+                                    </div>
+                                </motion.div>
+                            ))}
+                        </AnimatePresence>
+
+                        <motion.button
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                            onClick={() => setAdding(true)}
+                            className="rounded-3xl border-2 border-dashed border-indigo-200 p-4 flex flex-col items-center justify-center gap-2 text-indigo-400 cursor-pointer min-h-[140px]"
+                        >
+                            <Plus className="w-10 h-10" />
+                            <span className="font-bold">添加小朋友</span>
+                        </motion.button>
+                    </div>
+                )}
+            </motion.div>
+        </div>
+    );
+}
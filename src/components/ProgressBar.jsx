@@ -1,6 +1,41 @@
 import { motion } from 'framer-motion';
 
-export default function ProgressBar({ current, total }) {
+const RING_RADIUS = 20;
+const RING_LENGTH = 2 * Math.PI * RING_RADIUS;
+
+// Countdown for the current question (限时挑战): drains and turns red as time runs out
+function CountdownRing({ timeLeft, timeLimit }) {
+    const fraction = Math.max(0, timeLeft / timeLimit);
+    const color = fraction > 0.5 ? '#6366f1' : fraction > 0.25 ? '#f59e0b' : '#f43f5e';
+    return (
+        <div className="relative w-12 h-12 md:w-14 md:h-14 shrink-0">
+            <svg viewBox="0 0 48 48" className="w-full h-full -rotate-90">
+                <circle cx="24" cy="24" r={RING_RADIUS} fill="white" stroke="#e0e7ff" strokeWidth="5" />
+                <circle
+                    cx="24"
+                    cy="24"
+                    r={RING_RADIUS}
+                    fill="none"
+                    stroke={color}
+                    strokeWidth="5"
+                    strokeLinecap="round"
+                    strokeDasharray={RING_LENGTH}
+                    strokeDashoffset={RING_LENGTH * (1 - fraction)}
+                    style={{ transition: 'stroke-dashoffset 0.1s linear, stroke 0.3s' }}
+                />
+            </svg>
+            <span className="absolute inset-0 flex items-center justify-center text-sm md:text-base font-black" style={{ color }}>
+                {Math.ceil(timeLeft / 1000)}
+            </span>
+        </div>
+    );
+}
+
+/**
+ * @param {number|null} timeLeft - ms left on this question in timed mode; null hides the countdown
+ * @param {number} [timeLimit] - ms per question in timed mode
+ */
+export default function ProgressBar({ current, total, timeLeft = null, timeLimit }) {
     const progress = (current / total) * 100;
 
     return (
@@ -10,8 +45,11 @@ export default function ProgressBar({ current, total }) {
                     <span className="text-indigo-500 font-bold text-[10px] md:text-xs uppercase tracking-widest">Progress</span>
                     <span className="text-lg md:text-2xl font-black text-gray-800">冒险进行中...</span>
                 </div>
-                <div className="bg-indigo-50 px-3 py-0.5 md:px-4 md:py-1 rounded-full border border-indigo-100">
-                    <span className="text-sm md:text-lg font-bold text-indigo-600">{current} <span className="text-indigo-300 text-xs md:text-sm">/ {total}</span></span>
+                <div className="flex items-center gap-3">
+                    {timeLeft !== null && <CountdownRing timeLeft={timeLeft} timeLimit={timeLimit} />}
+                    <div className="bg-indigo-50 px-3 py-0.5 md:px-4 md:py-1 rounded-full border border-indigo-100">
+                        <span className="text-sm md:text-lg font-bold text-indigo-600">{current} <span className="text-indigo-300 text-xs md:text-sm">/ {total}</span></span>
+                    </div>
                 </div>
             </div>
             <div className="relative h-3 md:h-5 bg-white/50 backdrop-blur-sm rounded-full overflow-hidden border border-white shadow-inner">
@@ -1,17 +1,24 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { speakChar } from '../utils/tts';
+import PinyinRuby from './PinyinRuby';
 
-export default function QuestionCard({ question }) {
+// highlightIndex: character being read aloud (朗读题目), shown like a tapped one
+// onCharTap(char): called when the child taps a character to hear it
+export default function QuestionCard({ question, pinyinMode = 'always', highlightIndex = null, onCharTap }) {
     const pronunciation = question.pronunciation || {};
     const [activeIndex, setActiveIndex] = useState(null);
 
+    // Position-specific entry first, so a polyphone read two ways plays the right audio
+    const infoAt = (char, index) => question.charPronunciation?.[index] ?? pronunciation[char];
+
     const handleCharClick = (char, index) => {
         if (!char.trim()) return;
-        const info = pronunciation[char];
+        const info = infoAt(char, index);
         if (info?.audioFile) {
             setActiveIndex(index);
             speakChar(info.audioFile);
+            onCharTap?.(char);
         }
     };
 
@@ -29,8 +36,9 @@ export default function QuestionCard({ question }) {
 
             <div className="relative z-10 flex flex-wrap justify-center items-end gap-x-1 gap-y-6 md:gap-y-10">
                 {chars.map((char, index) => {
-                    const isActive = activeIndex === index;
-                    const hasAudio = !!pronunciation[char]?.audioFile;
+                    const isActive = (highlightIndex ?? activeIndex) === index;
+                    const info = infoAt(char, index);
+                    const hasAudio = !!info?.audioFile;
                     return (
                         <motion.span
                             key={index}
@@ -54,7 +62,12 @@ export default function QuestionCard({ question }) {
                                 ${isActive ? 'z-20' : 'z-10'}
                                 ${hasAudio ? '' : 'cursor-default'}`}
                         >
-                            {char}
+                            <PinyinRuby
+                                char={char}
+                                pinyin={info?.pinyin}
+                                mode={pinyinMode}
+                                revealed={isActive}
+                            />
                             {/* Active indicator dot */}
                             {isActive && (
                                 <motion.span
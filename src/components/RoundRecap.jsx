@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Check, X, RotateCcw, Volume2, BookOpen, BookCheck } from 'lucide-react';
+import { playQueue } from '../utils/tts';
+import { loadNotebook, addToNotebook } from '../utils/review';
+
+// Sentence clip if there is one, otherwise the characters one by one
+const spokenFiles = (part) => part.audioFile
+    ? [part.audioFile]
+    : part.charPronunciation.map(info => info?.audioFile);
+
+function RecapRow({ index, question, answer, inNotebook, onAddToNotebook }) {
+    const correct = question.options.find(o => o.isCorrect);
+    const picks = answer.optionIds.map(id => question.options.find(o => o.id === id));
+    const Icon = !answer.isCorrect ? X : answer.tries > 1 ? RotateCcw : Check;
+    const iconColor = !answer.isCorrect ? 'bg-rose-400' : answer.tries > 1 ? 'bg-amber-400' : 'bg-emerald-400';
+
+    const replay = () => playQueue([...spokenFiles(question), ...spokenFiles(correct)]);
+
+    return (
+        <li className="bg-white/70 rounded-2xl p-3 md:p-4 flex gap-3 text-left">
+            <span className={`w-7 h-7 shrink-0 rounded-full flex items-center justify-center text-white ${iconColor}`}>
+                <Icon className="w-4 h-4" />
+            </span>
+            <div className="flex-1 min-w-0">
+                <p className="font-bold text-gray-800 leading-snug">
+                    <span className="text-gray-400 mr-1">{index + 1}.</span>
+                    {question.text}
+                </p>
+                <div className="mt-1 text-sm flex flex-wrap gap-x-3 gap-y-1">
+                    <span className="text-gray-500">
+                        你选了：
+                        {picks.map((pick, i) => (
+                            <span key={i}>
+                                {i > 0 && <span className="text-gray-300"> → </span>}
+                                {pick
+                                    ? <span className={`font-bold ${pick.isCorrect ? 'text-emerald-600' : 'text-rose-400 line-through'}`}>{pick.text}</span>
+                                    : <span className="font-bold text-rose-400">没来得及回答</span>}
+                            </span>
+                        ))}
+                    </span>
+                    {!answer.isCorrect && (
+                        <span className="text-gray-500">答案：<span className="font-bold text-emerald-600">{correct.text}</span></span>
+                    )}
+                    <span className="text-gray-400">用时 {(answer.timeMs / 1000).toFixed(1)} 秒</span>
+                </div>
+            </div>
+            <div className="flex flex-col gap-1 shrink-0">
+                <motion.button
+                    whileTap={{ scale: 0.9 }}
+                    onClick={replay}
+                    aria-label="再听一遍"
+                    className="p-2 rounded-full bg-indigo-50 text-indigo-500 cursor-pointer"
+                >
+                    <Volume2 className="w-4 h-4" />
+                </motion.button>
+                <motion.button
+                    whileTap={inNotebook ? {} : { scale: 0.9 }}
+                    onClick={onAddToNotebook}
+                    disabled={inNotebook}
+                    aria-label={inNotebook ? '已在错题本' : '加入错题本'}
+                    title={inNotebook ? '已在错题本' : '加入错题本'}
+                    className={`p-2 rounded-full ${inNotebook ? 'bg-orange-400 text-white' : 'bg-orange-50 text-orange-500 cursor-pointer'}`}
+                >
+                    {inNotebook ? <BookCheck className="w-4 h-4" /> : <BookOpen className="w-4 h-4" />}
+                </motion.button>
+            </div>
+        </li>
+    );
+}
+
+/**
+ * Every question of the round — the child's pick(s), the answer and the time
+ * taken — for going over the round together. Each row can be heard again or
+ * put into the 错题本.
+ *
+ * @param {object[]} questions - the round's questions
+ * @param {Array<{ questionId: number, isCorrect: boolean, tries: number, optionIds: Array<string|null>, timeMs: number }>} answers
+ */
+export default function RoundRecap({ questions, answers }) {
+    const [notebook, setNotebook] = useState(loadNotebook);
+
+    const handleAdd = (questionId) => {
+        addToNotebook(questionId);
+        setNotebook(loadNotebook());
+    };
+
+    return (
+        <div className="mb-8 md:mb-10">
+            <h2 className="font-black text-gray-600 text-left mb-2">这一局的题目</h2>
+            <ul className="flex flex-col gap-2 max-h-80 overflow-y-auto pr-1">
+                {answers.map((answer, i) => (
+                    <RecapRow
+                        key={answer.questionId}
+                        index={i}
+                        question={questions.find(q => q.id === answer.questionId)}
+                        answer={answer}
+                        inNotebook={!!notebook[answer.questionId]}
+                        onAddToNotebook={() => handleAdd(answer.questionId)}
+                    />
+                ))}
+            </ul>
+        </div>
+    );
+}
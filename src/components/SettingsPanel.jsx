@@ -0,0 +1,146 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Volume2, VolumeX, Mic, Music, Gauge, RotateCcw } from 'lucide-react';
+import PinyinToggle from './PinyinToggle';
+import OfflineDownloads from './OfflineDownloads';
+import { SPEECH_RATES, RETRY_POLICIES } from '../utils/settings';
+
+function VolumeSlider({ icon, label, value, disabled, onChange }) {
+    return (
+        <label className={`flex items-center gap-3 ${disabled ? 'opacity-40' : ''}`}>
+            {icon}
+            <span className="w-16 text-left font-bold text-gray-700 shrink-0">{label}</span>
+            <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={value}
+                disabled={disabled}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="flex-1 accent-indigo-500 cursor-pointer"
+            />
+            <span className="w-10 text-right text-sm font-bold text-gray-400">{Math.round(value * 100)}</span>
+        </label>
+    );
+}
+
+function Choice({ icon, label, options, value, onChange }) {
+    return (
+        <div className="flex items-center gap-3">
+            {icon}
+            <span className="w-16 text-left font-bold text-gray-700 shrink-0">{label}</span>
+            <div className={`flex-1 grid gap-1 ${options.length > 2 ? 'grid-cols-4' : 'grid-cols-2'}`}>
+                {options.map((option) => (
+                    <motion.button
+                        key={option.value}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => onChange(option.value)}
+                        className={`py-1.5 rounded-full text-sm font-bold cursor-pointer transition-colors
+                            ${value === option.value
+                                ? 'bg-gradient-to-r from-indigo-500 to-purple-600 text-white shadow'
+                                : 'bg-white text-gray-500 hover:text-indigo-500'}`}
+                    >
+                        {option.label}
+                    </motion.button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Sound, display, answering and offline settings, opened from the header
+export default function SettingsPanel({ open, settings, onChange, onClose }) {
+    return (
+        <AnimatePresence>
+            {open && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 z-[60] bg-gray-900/30 backdrop-blur-sm flex items-center justify-center p-4"
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, y: 20 }}
+                        animate={{ scale: 1, y: 0 }}
+                        exit={{ scale: 0.9, y: 20 }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="glass-card rounded-[2rem] p-6 md:p-8 w-full max-w-md relative overflow-hidden"
+                    >
+                        <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500" />
+
+                        <div className="flex items-center justify-between mb-6">
+                            <h2 className="text-2xl font-black text-gray-800">设置</h2>
+                            <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={onClose}
+                                aria-label="关闭"
+                                className="p-2 rounded-full text-gray-400 hover:text-gray-600 cursor-pointer"
+                            >
+                                <X className="w-6 h-6" />
+                            </motion.button>
+                        </div>
+
+                        <div className="flex flex-col gap-5">
+                            {/* Master mute */}
+                            <motion.button
+                                whileTap={{ scale: 0.97 }}
+                                onClick={() => onChange({ muted: !settings.muted })}
+                                className={`flex items-center justify-center gap-2 py-3 rounded-2xl font-black text-lg border-2 cursor-pointer transition-colors
+                                    ${settings.muted
+                                        ? 'bg-rose-50 text-rose-500 border-rose-200'
+                                        : 'bg-indigo-50 text-indigo-600 border-indigo-100'}`}
+                            >
+                                {settings.muted ? <VolumeX className="w-6 h-6" /> : <Volume2 className="w-6 h-6" />}
+                                {settings.muted ? '已静音' : '声音已打开'}
+                            </motion.button>
+
+                            <VolumeSlider
+                                icon={<Mic className="w-5 h-5 text-indigo-400 shrink-0" />}
+                                label="读字"
+                                value={settings.voiceVolume}
+                                disabled={settings.muted}
+                                onChange={(voiceVolume) => onChange({ voiceVolume })}
+                            />
+                            <VolumeSlider
+                                icon={<Music className="w-5 h-5 text-indigo-400 shrink-0" />}
+                                label="鼓励语"
+                                value={settings.effectsVolume}
+                                disabled={settings.muted}
+                                onChange={(effectsVolume) => onChange({ effectsVolume })}
+                            />
+
+                            <Choice
+                                icon={<Gauge className="w-5 h-5 text-indigo-400 shrink-0" />}
+                                label="语速"
+                                options={SPEECH_RATES}
+                                value={settings.speechRate}
+                                onChange={(speechRate) => onChange({ speechRate })}
+                            />
+
+                            {/* What happens after a wrong pick */}
+                            <Choice
+                                icon={<RotateCcw className="w-5 h-5 text-indigo-400 shrink-0" />}
+                                label="答错时"
+                                options={RETRY_POLICIES}
+                                value={settings.retryPolicy}
+                                onChange={(retryPolicy) => onChange({ retryPolicy })}
+                            />
+
+                            <div className="flex justify-center pt-2">
+                                <PinyinToggle
+                                    value={settings.pinyinMode}
+                                    onChange={(pinyinMode) => onChange({ pinyinMode })}
+                                />
+                            </div>
+
+                            <OfflineDownloads />
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,53 @@
+import { motion } from 'framer-motion';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+
+const WIDTH = 240;
+const HEIGHT = 60;
+
+// Skill after each recent round as a small line chart, with the change since the last round
+export default function SkillTrend({ trend }) {
+    if (trend.length === 0) return null;
+
+    const skills = trend.map(t => t.skill);
+    const latest = skills[skills.length - 1];
+    const delta = skills.length > 1 ? latest - skills[skills.length - 2] : 0;
+
+    const min = Math.min(...skills) - 10;
+    const max = Math.max(...skills) + 10;
+    const points = skills.map((skill, i) => [
+        skills.length > 1 ? (i / (skills.length - 1)) * WIDTH : WIDTH / 2,
+        HEIGHT - ((skill - min) / (max - min)) * HEIGHT,
+    ]);
+
+    const Icon = delta > 0 ? TrendingUp : delta < 0 ? TrendingDown : Minus;
+    const deltaColor = delta > 0 ? 'text-emerald-500' : delta < 0 ? 'text-rose-400' : 'text-gray-400';
+
+    return (
+        <div className="bg-white/60 rounded-3xl px-5 py-4 mb-8 md:mb-10 border border-indigo-50">
+            <div className="flex items-center justify-between mb-2">
+                <span className="font-bold text-gray-500">能力值</span>
+                <span className="flex items-center gap-2">
+                    <span className="text-2xl font-black text-indigo-600">{latest}</span>
+                    <span className={`flex items-center gap-0.5 text-sm font-bold ${deltaColor}`}>
+                        <Icon className="w-4 h-4" />
+                        {delta > 0 ? `+${delta}` : delta}
+                    </span>
+                </span>
+            </div>
+            <svg viewBox={`-4 -4 ${WIDTH + 8} ${HEIGHT + 8}`} className="w-full h-16">
+                <motion.polyline
+                    initial={{ pathLength: 0 }}
+                    animate={{ pathLength: 1 }}
+                    transition={{ duration: 0.8 }}
+                    points={points.map(p => p.join(',')).join(' ')}
+                    fill="none"
+                    stroke="#818cf8"
+                    strokeWidth="3"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                />
+                <circle cx={points[points.length - 1][0]} cy={points[points.length - 1][1]} r="4" fill="#6366f1" />
+            </svg>
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Lock } from 'lucide-react';
+import { achievementProgress, markStickersSeen } from '../utils/achievements';
+
+// Stickers earned since the book was last opened flip in one after another
+function Sticker({ item, order }) {
+    const { sticker, name, description, value, goal, unlocked } = item;
+    const isNew = unlocked && !unlocked.seen;
+
+    if (!unlocked) {
+        return (
+            <div className="aspect-square rounded-2xl bg-white/60 border-2 border-dashed border-gray-200 flex flex-col items-center justify-center gap-1 p-2 text-center" title={description}>
+                <span className="text-3xl md:text-4xl leading-none grayscale opacity-30">{sticker}</span>
+                <span className="text-xs font-bold text-gray-400 flex items-center gap-0.5"><Lock className="w-3 h-3" />{description}</span>
+                {goal > 1 && (
+                    <span className="w-4/5 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+                        <span className="block h-full bg-indigo-300" style={{ width: `${(value / goal) * 100}%` }} />
+                    </span>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <motion.div
+            initial={isNew ? { rotateY: 180, scale: 0.5 } : false}
+            animate={{ rotateY: 0, scale: 1 }}
+            transition={{ delay: 0.3 + order * 0.25, type: 'spring', damping: 12, stiffness: 150 }}
+            className="aspect-square rounded-2xl bg-gradient-to-br from-amber-50 to-pink-50 border-2 border-amber-200 flex flex-col items-center justify-center gap-1 p-2 text-center relative shadow-sm"
+            title={`${description} · ${new Date(unlocked.at).toLocaleDateString()}`}
+        >
+            {isNew && (
+                <span className="absolute -top-2 -right-2 bg-rose-400 text-white text-[10px] font-black px-1.5 py-0.5 rounded-full">新</span>
+            )}
+            <span className="text-3xl md:text-4xl leading-none drop-shadow">{sticker}</span>
+            <span className="text-xs md:text-sm font-black text-gray-700">{name}</span>
+        </motion.div>
+    );
+}
+
+// Read once when the book opens, so the new stickers stay marked while it's open
+function Stickers() {
+    const [items] = useState(achievementProgress);
+
+    useEffect(() => {
+        markStickersSeen();
+    }, []);
+
+    const earned = items.filter(i => i.unlocked).length;
+    const newIds = items.filter(i => i.unlocked && !i.unlocked.seen).map(i => i.id);
+
+    return (
+        <>
+            <p className="text-center font-black text-amber-500 text-lg mb-4">
+                已收集 {earned} / {items.length} 张
+            </p>
+            <div className="grid grid-cols-3 gap-2 md:gap-3 max-h-[60vh] overflow-y-auto p-2">
+                {items.map(item => (
+                    <Sticker key={item.id} item={item} order={newIds.indexOf(item.id)} />
+                ))}
+            </div>
+        </>
+    );
+}
+
+// 贴纸册 — every sticker, earned or still to earn
+export default function StickerBook({ open, onClose }) {
+    return (
+        <AnimatePresence>
+            {open && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 z-[60] bg-gray-900/30 backdrop-blur-sm flex items-center justify-center p-4"
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, y: 20 }}
+                        animate={{ scale: 1, y: 0 }}
+                        exit={{ scale: 0.9, y: 20 }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="glass-card rounded-[2rem] p-6 md:p-8 w-full max-w-md relative overflow-hidden"
+                    >
+                        <div className="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-amber-400 via-pink-400 to-purple-500" />
+
+                        <div className="flex items-center justify-between mb-2">
+                            <h2 className="text-2xl font-black text-gray-800">贴纸册</h2>
+                            <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={onClose}
+                                aria-label="关闭"
+                                className="p-2 rounded-full text-gray-400 hover:text-gray-600 cursor-pointer"
+                            >
+                                <X className="w-6 h-6" />
+                            </motion.button>
+                        </div>
+
+                        <Stickers />
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,51 @@
+import { useEffect, useEffectEvent } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const SHOW_MS = 3500;
+
+/**
+ * 获得新贴纸 — pops up each newly earned sticker in turn. Tap to skip ahead.
+ *
+ * @param {object[]} stickers - achievements waiting to be shown, first on screen
+ * @param {() => void} onDone - the first one has been shown
+ */
+export default function StickerUnlock({ stickers, onDone }) {
+    const current = stickers[0];
+
+    // Timed from when a sticker appears, however often the parent re-renders
+    const onTimeout = useEffectEvent(() => onDone());
+    useEffect(() => {
+        if (!current) return;
+        const timer = setTimeout(onTimeout, SHOW_MS);
+        return () => clearTimeout(timer);
+    }, [current]);
+
+    return (
+        <AnimatePresence mode="wait">
+            {current && (
+                <motion.button
+                    key={current.id}
+                    initial={{ opacity: 0, y: -40, scale: 0.6 }}
+                    animate={{ opacity: 1, y: 0, scale: 1 }}
+                    exit={{ opacity: 0, y: -20, scale: 0.8 }}
+                    transition={{ type: 'spring', damping: 14, stiffness: 200 }}
+                    onClick={onDone}
+                    className="fixed top-4 md:top-8 left-1/2 -translate-x-1/2 z-[70] glass-card rounded-full pl-3 pr-6 py-2 md:py-3 flex items-center gap-3 shadow-2xl border-2 border-amber-200 cursor-pointer"
+                >
+                    <motion.span
+                        initial={{ rotate: -180, scale: 0 }}
+                        animate={{ rotate: 0, scale: [0, 1.4, 1] }}
+                        transition={{ delay: 0.2, duration: 0.6 }}
+                        className="text-4xl md:text-5xl leading-none"
+                    >
+                        {current.sticker}
+                    </motion.span>
+                    <span className="text-left">
+                        <span className="block text-xs md:text-sm font-bold text-amber-500">获得新贴纸！</span>
+                        <span className="block text-lg md:text-xl font-black text-gray-800">{current.name}</span>
+                    </span>
+                </motion.button>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,31 @@
+// Achievements — each unlocks a sticker in the 贴纸册.
+//
+// A rule is data: once `metric` reaches `goal` the sticker is earned. Rules
+// are checked after every answer, character tap and finished round, so a new
+// badge only needs an entry here. Metrics (see utils/achievements.js):
+//   correct       questions answered right on the first try (`type` narrows to a category)
+//   rounds        rounds finished
+//   perfectRounds rounds with full marks
+//   bestStreak    most first-try correct answers in a row within a round
+//   dailyStreak   今日挑战 days in a row
+//   timedPoints   best 限时挑战 score
+//   taps          characters tapped to hear them
+export const achievements = [
+  { id: 'first-correct', sticker: '🐣', name: '破壳啦', description: '第一次答对', metric: 'correct', goal: 1 },
+  { id: 'first-round', sticker: '🎈', name: '第一局', description: '完成第一局', metric: 'rounds', goal: 1 },
+  { id: 'first-perfect', sticker: '🏆', name: '满分小达人', description: '第一次满分通关', metric: 'perfectRounds', goal: 1 },
+  { id: 'perfect-5', sticker: '👑', name: '满分王', description: '满分通关 5 次', metric: 'perfectRounds', goal: 5 },
+  { id: 'streak-3', sticker: '🔥', name: '连连看', description: '一局里连续一次答对 3 题', metric: 'bestStreak', goal: 3 },
+  { id: 'animal-10', sticker: '🐼', name: '动物小专家', description: '答对 10 道动物题', metric: 'correct', type: 'animal', goal: 10 },
+  { id: 'daily-10', sticker: '🏠', name: '生活小能手', description: '答对 10 道日常题', metric: 'correct', type: 'daily', goal: 10 },
+  { id: 'logic-10', sticker: '🧩', name: '逻辑小侦探', description: '答对 10 道逻辑题', metric: 'correct', type: 'logic', goal: 10 },
+  { id: 'math-10', sticker: '🔢', name: '数学小天才', description: '答对 10 道数学题', metric: 'correct', type: 'math', goal: 10 },
+  { id: 'science-5', sticker: '🔬', name: '小科学家', description: '答对 5 道科学题', metric: 'correct', type: 'science', goal: 5 },
+  { id: 'correct-50', sticker: '🌟', name: '智慧之星', description: '一共答对 50 题', metric: 'correct', goal: 50 },
+  { id: 'correct-200', sticker: '🚀', name: '脑力火箭', description: '一共答对 200 题', metric: 'correct', goal: 200 },
+  { id: 'rounds-20', sticker: '🎒', name: '小小冒险家', description: '完成 20 局', metric: 'rounds', goal: 20 },
+  { id: 'daily-streak-3', sticker: '☀️', name: '天天向上', description: '今日挑战连续 3 天', metric: 'dailyStreak', goal: 3 },
+  { id: 'daily-streak-7', sticker: '📅', name: '坚持一周', description: '今日挑战连续 7 天', metric: 'dailyStreak', goal: 7 },
+  { id: 'timed-800', sticker: '⚡', name: '闪电手', description: '限时挑战一局拿到 800 分', metric: 'timedPoints', goal: 800 },
+  { id: 'taps-100', sticker: '👂', name: '小耳朵', description: '点字听发音 100 次', metric: 'taps', goal: 100 },
+];
@@ -1,8 +1,17 @@
 import questionsData from './questions.json';
 import pronunciationDict from './pronunciation_dict.json';
 
+// Resolve pronunciation for each character position of a text:
+// position override (pronunciationAt, keyed by index into [...text]) →
+// per-question character override → shared dictionary
+const resolveChars = (text, charOverrides = {}, positionOverrides = {}) =>
+  [...text].map((ch, i) =>
+    positionOverrides[i] ?? charOverrides[ch] ?? pronunciationDict[ch] ?? null
+  );
+
 // Build pronunciation for each question at runtime from the shared dictionary,
-// with per-question overrides for polyphonic characters (多音字)
+// with per-question overrides for polyphonic characters (多音字).
+// A polyphone read two ways in one question needs a position override.
 export const questions = questionsData.map(q => {
   const allChars = new Set([
     ...q.text,
@@ -19,10 +28,27 @@ export const questions = questionsData.map(q => {
     }
   }
 
-  const { pronunciation: _, ...rest } = q;
-  return { ...rest, pronunciation };
+  const { pronunciation: _, pronunciationAt, ...rest } = q;
+  return {
+    ...rest,
+    pronunciation,
+    charPronunciation: resolveChars(q.text, q.pronunciation, pronunciationAt),
+    options: q.options.map(({ pronunciationAt: optionAt, ...o }) => ({
+      ...o,
+      charPronunciation: resolveChars(o.text, q.pronunciation, optionAt),
+    })),
+  };
 });
 
+// Question categories, keyed by the `type` field in questions.json
+export const categories = [
+  { id: 'daily', label: '日常', emoji: '🏠' },
+  { id: 'logic', label: '逻辑', emoji: '🧩' },
+  { id: 'animal', label: '动物', emoji: '🐼' },
+  { id: 'math', label: '数学', emoji: '🔢' },
+  { id: 'science', label: '科学', emoji: '🔬' },
+].map(c => ({ ...c, count: questions.filter(q => q.type === c.id).length }));
+
 export const feedbackPhrases = {
   correct: [
     "太棒了！", "真聪明！", "答对了！", "好厉害！", "真厉害！",
@@ -41,5 +67,28 @@ export const feedbackPhrases = {
     "冒险家！", "小博士！", "达人！", "冠军！", "闪亮之星！",
     "超级厉害！", "太棒棒了！", "好厉害呀！", "目标达成！", "小英雄！",
     "天才！", "完成了！", "通关啦！", "赢家！", "表现超棒！"
+  ],
+  timeout: [
+    "时间到！", "时间到啦！", "下次快一点！", "慢了一点点！", "来看看答案！"
+  ],
+  retry: [
+    "再试一次！", "换一个！", "再想想！", "还有一次机会！", "再选一次吧！"
+  ],
+  // Chosen by context in utils/feedback.js: a streak of first-try correct
+  // answers, a correct answer right after a miss, a round with full marks
+  streak3: [
+    "连对3题！", "三连胜！", "越来越厉害了！"
+  ],
+  streak4: [
+    "连对4题！", "四连胜！", "停不下来啦！"
+  ],
+  streak5: [
+    "连对5题！", "五连胜！", "势不可挡！"
+  ],
+  comeback: [
+    "这次答对啦！", "漂亮的反击！", "找回状态了！", "就是这样，继续！", "翻身啦！"
+  ],
+  perfect: [
+    "全部答对！", "满分通关！", "一题都没错！", "完美通关！", "满分小天才！"
   ]
 };
\ No newline at end of file
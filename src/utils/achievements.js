@@ -0,0 +1,122 @@
+/**
+ * Achievements — evaluates the rules in data/achievements.js against a
+ * child's progress and keeps the stickers earned.
+ *
+ * Some metrics are read from data kept anyway (今日挑战 results, best
+ * scores); the rest are tallied here — what nothing else records (rounds
+ * finished, perfect rounds, the longest streak), and counts the session log
+ * can't give for good because it drops old entries (correct answers, taps).
+ */
+import { loadStore, updateStore } from './storage';
+import { dailyStreak } from './daily';
+import { currentQuestion, result } from './quiz';
+import { achievements } from '../data/achievements';
+
+const withDefaults = (data) => ({
+    unlocked: {},     // { [achievementId]: { at, seen } } — seen once shown in the 贴纸册
+    rounds: 0,
+    perfectRounds: 0,
+    bestStreak: 0,
+    correct: {},      // { [type]: questions answered right on the first try }
+    taps: 0,
+    ...data,
+});
+
+// metric name → (facts, rule) → current value
+const METRICS = {
+    correct: ({ tallies }, { type }) => type
+        ? tallies.correct[type] ?? 0
+        : Object.values(tallies.correct).reduce((sum, n) => sum + n, 0),
+    rounds: ({ tallies }) => tallies.rounds,
+    perfectRounds: ({ tallies }) => tallies.perfectRounds,
+    bestStreak: ({ tallies }) => tallies.bestStreak,
+    dailyStreak: ({ daily }) => dailyStreak(daily),
+    timedPoints: ({ bests }) => bests.timed?.score ?? 0,
+    taps: ({ tallies }) => tallies.taps,
+};
+
+const factsOf = (store, tallies) => ({
+    tallies,
+    daily: store.daily,
+    bests: store.bests,
+});
+
+// The first-try correct counts with the answer just submitted
+const withAnswer = (correct, quiz) => {
+    if (!quiz.last.isCorrect || quiz.last.attempt > 1) return correct;
+    const { type } = currentQuestion(quiz);
+    return { ...correct, [type]: (correct[type] ?? 0) + 1 };
+};
+
+const valueOf = (rule, facts) => METRICS[rule.metric]?.(facts, rule) ?? 0;
+
+/**
+ * @returns {{ unlocked: object, rounds: number, perfectRounds: number, bestStreak: number, correct: object, taps: number }}
+ */
+export const loadAchievements = () => withDefaults(loadStore().achievements);
+
+/**
+ * Every achievement with how far along the child is, in list order.
+ * @returns {Array<object>} the rules plus { value, unlocked: { at, seen }|null }
+ */
+export const achievementProgress = () => {
+    const store = loadStore();
+    const tallies = withDefaults(store.achievements);
+    const facts = factsOf(store, tallies);
+    return achievements.map(rule => ({
+        ...rule,
+        value: Math.min(valueOf(rule, facts), rule.goal),
+        unlocked: tallies.unlocked[rule.id] ?? null,
+    }));
+};
+
+/**
+ * Tally an answer, a character tap or a finished round and unlock whatever
+ * it earned. Call after it has been recorded everywhere else.
+ * @param {'answer'|'tap'|'round'} event
+ * @param {object} quiz - the round after the step, see quiz.js
+ * @returns {Array<object>} the achievements unlocked just now
+ */
+export const checkAchievements = (event, quiz) => {
+    const store = loadStore();
+    const before = withDefaults(store.achievements);
+    const finished = event === 'round';
+    const tallies = {
+        ...before,
+        rounds: before.rounds + (finished ? 1 : 0),
+        perfectRounds: before.perfectRounds + (finished && result(quiz).grade === 'perfect' ? 1 : 0),
+        bestStreak: Math.max(before.bestStreak, quiz.streak),
+        correct: event === 'answer' ? withAnswer(before.correct, quiz) : before.correct,
+        taps: before.taps + (event === 'tap' ? 1 : 0),
+    };
+    const facts = factsOf(store, tallies);
+    const earned = achievements.filter(rule => !tallies.unlocked[rule.id] && valueOf(rule, facts) >= rule.goal);
+    const at = Date.now();
+    updateStore(data => ({
+        ...data,
+        achievements: {
+            ...tallies,
+            unlocked: {
+                ...tallies.unlocked,
+                ...Object.fromEntries(earned.map(rule => [rule.id, { at, seen: false }])),
+            },
+        },
+    }));
+    return earned;
+};
+
+/**
+ * The 贴纸册 has shown every sticker earned so far.
+ */
+export const markStickersSeen = () => {
+    updateStore(store => {
+        const data = withDefaults(store.achievements);
+        return {
+            ...store,
+            achievements: {
+                ...data,
+                unlocked: Object.fromEntries(Object.entries(data.unlocked).map(([id, u]) => [id, { ...u, seen: true }])),
+            },
+        };
+    });
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { checkAchievements, loadAchievements } from './achievements';
+import { createQuizEngine } from './quiz';
+import { createProfile } from './profiles';
+import { loadStore, updateStore } from './storage';
+
+// In-memory localStorage, emptied before each test
+const storage = new Map();
+vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+});
+
+const questions = ['animal', 'animal', 'math'].map((type, i) => ({
+    id: i + 1,
+    type,
+    options: ['a', 'b', 'c'].map((id, j) => ({ id, isCorrect: j === 0 })),
+}));
+
+const ids = (earned) => earned.map(rule => rule.id);
+
+describe('checkAchievements', () => {
+    beforeEach(() => {
+        storage.clear();
+        createProfile({ name: '小明', avatar: '🐣', age: 6 });
+    });
+
+    it('counts first tries answered right, by type', () => {
+        const engine = createQuizEngine({ rng: () => 0, clock: () => 0 });
+        let quiz = engine.start({ questions, retryPolicy: 'once' });
+        const steps = [['b', 'a'], ['a'], ['a']];
+        const earned = [];
+        for (const picks of steps) {
+            for (const pick of picks) {
+                quiz = engine.submit(quiz, pick);
+                earned.push(...ids(checkAchievements('answer', quiz)));
+            }
+            quiz = engine.next(quiz);
+        }
+        expect(loadAchievements().correct).toEqual({ animal: 1, math: 1 });
+        expect(earned).toContain('first-correct');
+    });
+
+    it('keeps counting taps the log no longer holds', () => {
+        const quiz = createQuizEngine().start({ questions });
+        updateStore(store => ({ ...store, log: [], achievements: { taps: 99 } }));
+        expect(ids(checkAchievements('tap', quiz))).toEqual(['taps-100']);
+        expect(loadAchievements().taps).toBe(100);
+        expect(loadStore().log).toEqual([]);
+    });
+});
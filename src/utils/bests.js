@@ -0,0 +1,26 @@
+/**
+ * Best round per game mode, kept apart so a timed-challenge score never
+ * competes with normal play.
+ */
+import { loadStore, updateStore } from './storage';
+
+/**
+ * @param {string} mode - 'normal' | 'review' | 'timed'
+ * @returns {{ score: number, at: number }|null}
+ */
+export const loadBest = (mode) => loadStore().bests[mode] ?? null;
+
+/**
+ * Record a finished round; keeps it if it beats the previous best.
+ * @param {string} mode
+ * @param {number} score
+ * @returns {{ best: number, isNew: boolean }}
+ */
+export const recordBest = (mode, score) => {
+    const previous = loadBest(mode);
+    const isNew = !previous || score > previous.score;
+    if (isNew) {
+        updateStore(store => ({ ...store, bests: { ...store.bests, [mode]: { score, at: Date.now() } } }));
+    }
+    return { best: isNew ? score : previous.score, isNew };
+};
@@ -0,0 +1,74 @@
+/**
+ * 今日挑战 — the same questions for every child on a given day.
+ *
+ * The set is shuffled with a PRNG seeded from the date, so it needs no
+ * server and works offline; it only changes when the question bank does.
+ * Results are kept per profile to count the streak of consecutive days.
+ */
+import { loadStore, updateStore } from './storage';
+import { createRng, seedFromString, shuffleArray, shuffleOptions } from './random';
+
+export const DAILY_SIZE = 5;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local calendar date as "YYYY-MM-DD".
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const dateKey = (date = new Date()) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const previousDay = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return dateKey(new Date(y, m - 1, d - 1));
+};
+
+/**
+ * The day's questions, options in the day's order too: identical on every
+ * device for the same date and bank.
+ * @param {Array} pool - all questions
+ * @param {string} key - from dateKey()
+ * @returns {Array}
+ */
+export const dailyQuestions = (pool, key) => {
+    const rng = createRng(seedFromString(`daily:${key}`));
+    const sorted = [...pool].sort((a, b) => a.id - b.id);
+    return shuffleArray(sorted, rng).slice(0, DAILY_SIZE).map(q => shuffleOptions(q, rng));
+};
+
+/**
+ * @returns {object} { [dateKey]: { score, total, at } }
+ */
+export const loadDaily = () => loadStore().daily;
+
+/**
+ * Save a day's result. Only the first completion of a day counts.
+ * @param {string} key
+ * @param {number} score
+ * @param {number} total
+ */
+export const recordDaily = (key, score, total) => updateStore(store => (
+    store.daily[key] ? store : {
+        ...store,
+        daily: { ...store.daily, [key]: { score, total, at: Date.now() } },
+    }
+));
+
+/**
+ * Consecutive days completed, up to today. A streak is still alive during
+ * the day until today's challenge is played.
+ * @param {object} daily - as returned by loadDaily()
+ * @param {string} [today]
+ * @returns {number}
+ */
+export const dailyStreak = (daily, today = dateKey()) => {
+    let key = daily[today] ? today : previousDay(today);
+    let streak = 0;
+    while (daily[key]) {
+        streak++;
+        key = previousDay(key);
+    }
+    return streak;
+};
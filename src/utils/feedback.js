@@ -0,0 +1,73 @@
+/**
+ * Contextual feedback — which pool of `feedbackPhrases` (data/questions.js)
+ * fits the moment, which of its phrases can be heard, and how big a correct
+ * answer's celebration should be.
+ *
+ * Pure functions of the quiz state (see quiz.js); the UI picks the phrase
+ * and plays the effects.
+ */
+import { result } from './quiz';
+
+// Streaks with their own phrases, longest first. A round is short enough
+// that 5 is the longest streak a child can reach.
+const STREAK_POOLS = [[5, 'streak5'], [4, 'streak4'], [3, 'streak3']];
+
+/**
+ * The phrase pool for an answer just submitted.
+ * @param {object} quiz - the round after submit(), with `last` set
+ * @returns {string} a key of feedbackPhrases
+ */
+export const answerFeedback = ({ last, streak, answers }) => {
+    if (last.retry) return 'retry';
+    if (!last.isCorrect) return last.optionId ? 'incorrect' : 'timeout';
+    // Streaks count first tries only, so a second try is plain 'correct'
+    if (last.attempt > 1) return 'correct';
+    const pool = STREAK_POOLS.find(([length]) => streak >= length);
+    if (pool) return pool[1];
+    // A streak of 1 after earlier answers means the last question was missed
+    return streak === 1 && answers.length > 1 ? 'comeback' : 'correct';
+};
+
+// The general pool a contextual one stands in for
+const FALLBACK = {
+    streak3: 'correct',
+    streak4: 'correct',
+    streak5: 'correct',
+    comeback: 'correct',
+    perfect: 'complete',
+    timeout: 'incorrect',
+    retry: 'incorrect',
+};
+
+/**
+ * The phrases of a pool that have generated audio. A pool with none yet
+ * (new phrases before generate_feedback_audio.mjs has run) gives way to the
+ * general pool it stands in for, so the child always hears something.
+ * @param {string} pool - a key of feedbackPhrases
+ * @param {object} phrases - feedbackPhrases
+ * @param {(text: string) => boolean} isVoiced - hasFeedbackAudio() from tts.js
+ * @returns {string[]}
+ */
+export const voicedPhrases = (pool, phrases, isVoiced) => {
+    const voiced = phrases[pool].filter(isVoiced);
+    if (voiced.length > 0) return voiced;
+    return FALLBACK[pool] ? voicedPhrases(FALLBACK[pool], phrases, isVoiced) : phrases[pool];
+};
+
+/**
+ * The phrase pool for a finished round.
+ * @param {object} quiz - the finished round
+ * @returns {'perfect'|'complete'}
+ */
+export const roundFeedback = (quiz) => result(quiz).grade === 'perfect' ? 'perfect' : 'complete';
+
+/**
+ * How big to celebrate a correct answer: 1 normally, more as the streak grows.
+ * @param {number} streak - from the quiz state
+ * @returns {1|2|3}
+ */
+export const comboLevel = (streak) => {
+    if (streak >= 5) return 3;
+    if (streak >= 3) return 2;
+    return 1;
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { answerFeedback, roundFeedback, comboLevel, voicedPhrases } from './feedback';
+import { createQuizEngine } from './quiz';
+import { hasFeedbackAudio } from './tts';
+import { feedbackPhrases } from '../data/questions';
+
+const questions = Array.from({ length: 5 }, (_, i) => ({
+    id: i + 1,
+    options: ['a', 'b', 'c'].map((id, j) => ({ id, isCorrect: j === 0 })),
+}));
+
+// The pool chosen after each pick, and how the round ends
+const play = (picks, retryPolicy = 'none') => {
+    const engine = createQuizEngine({ rng: () => 0, clock: () => 0 });
+    let state = engine.start({ questions, retryPolicy });
+    const pools = [];
+    for (const pick of picks) {
+        state = engine.submit(state, pick);
+        pools.push(answerFeedback(state));
+        if (state.phase === 'answered') state = engine.next(state);
+    }
+    return { pools, end: state.phase === 'finished' ? roundFeedback(state) : null };
+};
+
+describe('answerFeedback', () => {
+    it('cheers a growing streak', () => {
+        expect(play(['a', 'a', 'a', 'a', 'a'])).toEqual({
+            pools: ['correct', 'correct', 'streak3', 'streak4', 'streak5'],
+            end: 'perfect',
+        });
+    });
+
+    it('tells misses and timeouts apart, and cheers a comeback', () => {
+        expect(play(['b', 'a', 'a', null, 'a'])).toEqual({
+            pools: ['incorrect', 'comeback', 'correct', 'timeout', 'comeback'],
+            end: 'complete',
+        });
+    });
+
+    it('asks for a second try, which is plain correct', () => {
+        expect(play(['b', 'a', 'a'], 'once').pools).toEqual(['retry', 'correct', 'comeback']);
+    });
+});
+
+describe('comboLevel', () => {
+    it('rises with the streak', () => {
+        expect([-2, 1, 2, 3, 4, 5, 6].map(comboLevel)).toEqual([1, 1, 1, 2, 2, 3, 3]);
+    });
+});
+
+describe('voicedPhrases', () => {
+    const phrases = {
+        correct: ['太棒了！', '真聪明！'],
+        complete: ['挑战完成！'],
+        streak3: ['连对3题！', '三连胜！'],
+        perfect: ['满分通关！'],
+        incorrect: ['再想想！'],
+        timeout: ['时间到！'],
+        retry: ['还有一次机会！'],
+    };
+    const audio = new Set(['太棒了！', '真聪明！', '挑战完成！', '三连胜！']);
+    const isVoiced = (text) => audio.has(text);
+
+    it('keeps the phrases that can be heard', () => {
+        expect(voicedPhrases('streak3', phrases, isVoiced)).toEqual(['三连胜！']);
+    });
+
+    it('falls back to the general pool until a pool has audio', () => {
+        expect(voicedPhrases('perfect', phrases, isVoiced)).toEqual(['挑战完成！']);
+    });
+
+    it('says a timeout like a miss until it has audio', () => {
+        expect(voicedPhrases('timeout', phrases, isVoiced)).toEqual(['再想想！']);
+        expect(voicedPhrases('timeout', phrases, () => true)).toEqual(['时间到！']);
+    });
+
+    it('asks for a second try like a miss until it has audio', () => {
+        expect(voicedPhrases('retry', phrases, isVoiced)).toEqual(['再想想！']);
+    });
+
+    it('keeps a pool with nothing to fall back to', () => {
+        expect(voicedPhrases('incorrect', phrases, isVoiced)).toEqual(['再想想！']);
+    });
+});
+
+describe('feedback_audio.json', () => {
+    it('has something to say for every pool', () => {
+        for (const pool of Object.keys(feedbackPhrases)) {
+            const phrases = voicedPhrases(pool, feedbackPhrases, hasFeedbackAudio);
+            expect(phrases.length, pool).toBeGreaterThan(0);
+            expect(phrases.every(hasFeedbackAudio), pool).toBe(true);
+        }
+    });
+});
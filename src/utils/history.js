@@ -0,0 +1,65 @@
+/**
+ * Play history — which questions a child has already seen and answered.
+ *
+ * Used to prefer unseen questions when building a round, then recycle the
+ * least recently shown ones once the pool is exhausted.
+ */
+import { loadStore, updateStore } from './storage';
+import { shuffleArray } from './random';
+
+const emptyRecord = () => ({ shown: 0, answered: 0, correct: 0, lastShown: 0, lastAnswered: 0 });
+
+const updateRecord = (questionId, fn) => updateStore(store => ({
+    ...store,
+    history: {
+        ...store.history,
+        [questionId]: fn({ ...emptyRecord(), ...store.history[questionId] }),
+    },
+}));
+
+/**
+ * @returns {object} { [questionId]: { shown, answered, correct, lastShown, lastAnswered } }
+ */
+export const loadHistory = () => loadStore().history;
+
+/**
+ * Record that a question was put in front of the child.
+ * @param {number} questionId
+ */
+export const recordShown = (questionId) => updateRecord(questionId, r => ({
+    ...r,
+    shown: r.shown + 1,
+    lastShown: Date.now(),
+}));
+
+/**
+ * Record a submitted answer.
+ * @param {number} questionId
+ * @param {boolean} isCorrect
+ */
+export const recordAnswer = (questionId, isCorrect) => updateRecord(questionId, r => ({
+    ...r,
+    answered: r.answered + 1,
+    correct: r.correct + (isCorrect ? 1 : 0),
+    lastAnswered: Date.now(),
+}));
+
+/**
+ * Pick `count` questions from `pool`: unseen ones first (in random order),
+ * then the least recently shown ones.
+ * @param {Array} pool
+ * @param {number} count
+ * @param {object} history - as returned by loadHistory()
+ * @param {() => number} [rng] - defaults to Math.random
+ * @returns {Array}
+ */
+export const pickQuestions = (pool, count, history = loadHistory(), rng = Math.random) => {
+    const unseen = shuffleArray(pool.filter(q => !history[q.id]?.shown), rng);
+    if (unseen.length >= count) return unseen.slice(0, count);
+
+    const oldest = pool
+        .filter(q => history[q.id]?.shown)
+        .sort((a, b) => history[a.id].lastShown - history[b.id].lastShown)
+        .slice(0, count - unseen.length);
+    return shuffleArray([...unseen, ...oldest], rng);
+};
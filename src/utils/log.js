@@ -0,0 +1,56 @@
+/**
+ * Session log — the raw record behind the parent dashboard.
+ *
+ * One entry per submitted answer and per character tap, oldest first:
+ *   { kind: 'answer', at, questionId, type, optionId, isCorrect, timeMs, mode, hints, attempt }
+ *   { kind: 'tap', at, questionId, char }
+ *
+ * Kept per profile and capped at LOG_LIMIT entries (oldest dropped).
+ */
+import { loadStore, updateStore } from './storage';
+
+const LOG_LIMIT = 5000;
+
+const append = (entry) => updateStore(store => ({
+    ...store,
+    log: [...store.log, { ...entry, at: Date.now() }].slice(-LOG_LIMIT),
+}));
+
+/**
+ * @returns {Array<object>}
+ */
+export const loadLog = () => loadStore().log;
+
+/**
+ * @param {{ questionId: number, type: string, optionId: string|null, isCorrect: boolean, timeMs: number, mode: string, hints: number, attempt: number }} answer
+ *   optionId: null when time ran out; timeMs: from showing the question to submitting;
+ *   hints: how many hints were used; attempt: 1, or 2 for a second try after a wrong pick
+ */
+export const logAnswer = (answer) => append({ kind: 'answer', ...answer });
+
+/**
+ * A tapped character — a hint the child didn't recognise it.
+ * @param {number} questionId
+ * @param {string} char
+ */
+export const logCharTap = (questionId, char) => append({ kind: 'tap', questionId, char });
+
+const CSV_COLUMNS = ['at', 'kind', 'questionId', 'type', 'optionId', 'isCorrect', 'timeMs', 'mode', 'hints', 'attempt', 'char'];
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The log as CSV, one row per entry, `at` as an ISO timestamp.
+ * @param {Array<object>} log
+ * @returns {string}
+ */
+export const logToCsv = (log) => [
+    CSV_COLUMNS.join(','),
+    ...log.map(entry => CSV_COLUMNS
+        .map(column => csvCell(column === 'at' ? new Date(entry.at).toISOString() : entry[column]))
+        .join(',')),
+].join('\n') + '\n';
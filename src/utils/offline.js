@@ -0,0 +1,90 @@
+/**
+ * Offline support — service worker registration and the audio cache.
+ *
+ * - registerServiceWorker():         install public/sw.js (production builds only)
+ * - downloadAudio(paths, onProgress): put audio files into the offline cache
+ * - countCachedAudio(paths):          how many of them are already cached
+ * - onOnlineChange(handler):          subscribe to online / offline changes
+ *
+ * The cache name must match AUDIO_CACHE in public/sw.js.
+ */
+import feedbackAudioMap from '../data/feedback_audio.json';
+
+const BASE = import.meta.env.BASE_URL;
+const AUDIO_CACHE = 'audio';
+const DOWNLOAD_CONCURRENCY = 4;
+
+const audioUrl = (audioPath) => new URL(`${BASE}audio/${audioPath}`, location.href).href;
+
+export const isOfflineSupported = () => 'serviceWorker' in navigator && 'caches' in window;
+
+/**
+ * Register the service worker, then precache the feedback phrase audio
+ * (small, and played on every answer).
+ */
+export const registerServiceWorker = async () => {
+    if (!import.meta.env.PROD || !isOfflineSupported()) return;
+    try {
+        await navigator.serviceWorker.register(`${BASE}sw.js`);
+        await downloadAudio(Object.values(feedbackAudioMap));
+    } catch {
+        // Without a service worker the app still works, just not offline
+    }
+};
+
+/**
+ * @param {string[]} audioPaths - paths relative to audio/
+ * @returns {Promise<number>}
+ */
+export const countCachedAudio = async (audioPaths) => {
+    if (!isOfflineSupported()) return 0;
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = new Set((await cache.keys()).map(request => request.url));
+    return new Set(audioPaths.filter(path => cached.has(audioUrl(path)))).size;
+};
+
+/**
+ * Download audio files into the offline cache, skipping ones already there.
+ * @param {string[]} audioPaths - paths relative to audio/
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{ done: number, failed: number, total: number }>}
+ */
+export const downloadAudio = async (audioPaths, onProgress) => {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = new Set((await cache.keys()).map(request => request.url));
+    const urls = [...new Set(audioPaths.filter(Boolean).map(audioUrl))];
+    const pending = urls.filter(url => !cached.has(url));
+
+    let done = urls.length - pending.length;
+    let failed = 0;
+    onProgress?.(done, urls.length);
+
+    const worker = async () => {
+        while (pending.length > 0) {
+            const url = pending.shift();
+            try {
+                await cache.add(url);
+                done++;
+            } catch {
+                failed++;
+            }
+            onProgress?.(done, urls.length);
+        }
+    };
+    await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    return { done, failed, total: urls.length };
+};
+
+/**
+ * @param {(online: boolean) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export const onOnlineChange = (handler) => {
+    const update = () => handler(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+        window.removeEventListener('online', update);
+        window.removeEventListener('offline', update);
+    };
+};
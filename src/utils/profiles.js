@@ -0,0 +1,99 @@
+/**
+ * Child profiles — several children sharing one device, each with their
+ * own history, 错题本, settings and ratings (see storage.js).
+ *
+ * - loadProfiles():            all profiles, oldest first (without their data)
+ * - getActiveProfile():        the profile playing now, or null
+ * - createProfile(info):       add a profile and make it active
+ * - selectProfile(id):         switch to a profile (null = back to the picker)
+ * - deleteProfile(id):         remove a profile and everything it owns
+ * - exportProfile(id):         a profile with its data, as a JSON-ready object
+ */
+import { loadDocument, updateDocument, createProfileData, STORAGE_VERSION } from './storage';
+import { settingsForAge } from './settings';
+import { startingSkill } from './rating';
+
+export const AVATARS = ['🐣', '🐼', '🦊', '🐰', '🐯', '🐸', '🦄', '🐙', '🐶', '🐱', '🦁', '🐨'];
+
+export const MIN_AGE = 3;
+export const MAX_AGE = 12;
+
+const withoutData = (profile) => {
+    const { data: _, ...info } = profile;
+    return info;
+};
+
+/**
+ * @returns {Array<{ id: string, name: string, avatar: string, age: number|null, createdAt: number }>}
+ */
+export const loadProfiles = () => Object.values(loadDocument().profiles)
+    .map(withoutData)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+/**
+ * @returns {object|null} { id, name, avatar, age, createdAt }
+ */
+export const getActiveProfile = () => {
+    const doc = loadDocument();
+    const profile = doc.profiles[doc.activeProfileId];
+    return profile ? withoutData(profile) : null;
+};
+
+/**
+ * Add a profile and make it the active one. Settings and starting skill are
+ * seeded from the age.
+ * @param {{ name: string, avatar: string, age: number|null }} info
+ * @returns {object} the new profile (without data)
+ */
+export const createProfile = ({ name, avatar, age }) => {
+    const id = `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const profile = {
+        id,
+        name: name.trim(),
+        avatar,
+        age,
+        createdAt: Date.now(),
+        data: {
+            ...createProfileData(),
+            settings: settingsForAge(age),
+            ratings: { skill: startingSkill(age) },
+        },
+    };
+    updateDocument(doc => ({
+        ...doc,
+        activeProfileId: id,
+        profiles: { ...doc.profiles, [id]: profile },
+    }));
+    return withoutData(profile);
+};
+
+/**
+ * @param {string|null} id - null leaves the current profile
+ */
+export const selectProfile = (id) => updateDocument(doc => ({
+    ...doc,
+    activeProfileId: id && doc.profiles[id] ? id : null,
+}));
+
+/**
+ * @param {string} id
+ */
+export const deleteProfile = (id) => updateDocument(doc => {
+    const { [id]: _, ...profiles } = doc.profiles;
+    return {
+        ...doc,
+        activeProfileId: doc.activeProfileId === id ? null : doc.activeProfileId,
+        profiles,
+    };
+});
+
+/**
+ * A profile with all its data, tagged with the storage version it came from.
+ * @param {string} id
+ * @returns {object|null}
+ */
+export const exportProfile = (id) => {
+    const profile = loadDocument().profiles[id];
+    if (!profile) return null;
+    return { version: STORAGE_VERSION, exportedAt: new Date().toISOString(), profile };
+};
@@ -0,0 +1,344 @@
+/**
+ * Quiz engine — the rules of a round, independent of React, storage and audio.
+ *
+ * A round is a plain state object. Each step takes a state and returns the
+ * next one; the UI keeps the state, acts on what a step reports (`last` after
+ * submit) and owns timers, sounds and persistence. Stored progress (history,
+ * ratings, the 错题本) is passed in, never read here.
+ *
+ *   pick(options)           → a round's questions and reserve, options shuffled
+ *   start(options)          → a new round at its first question
+ *   select(state, optionId) → highlight an option (not yet submitted)
+ *   eliminate(state)        → 50/50 hint: rule out one wrong option
+ *   mascotHint(state)       → the mascot's spoken hint was used
+ *   submit(state, optionId) → grade the pick; null means time ran out
+ *   next(state, plan?)      → the following question, or the finished round
+ *   result(state)           → totals and grade for the result screen
+ *   toSnapshot(state)       → the round as plain data for storage
+ *   restore(snapshot, bank) → the round back from a snapshot
+ *
+ * phase: 'playing' → 'answered' → 'playing' (next question) … → 'finished'.
+ * Under retryPolicy 'once' a wrong first pick stays 'playing' for a second try.
+ *
+ * Randomness and time come from createQuizEngine({ rng, clock }), so a round
+ * can be replayed exactly — except 今日挑战, which is seeded by the date so
+ * every device gets the same one.
+ */
+import { pickQuestions } from './history';
+import { orderByTarget, targetRating } from './rating';
+import { dailyQuestions } from './daily';
+import { shuffleOptions } from './random';
+
+export const GAME_SIZE = 5;
+// Fresh questions considered per round; the round uses those nearest the child's level
+const CANDIDATE_POOL = GAME_SIZE * 4;
+
+// 限时挑战: time per question, and points for a correct answer — doubled
+// for an instant answer, falling to the base as the clock runs out
+export const TIME_LIMIT_MS = 20000;
+const BASE_POINTS = 100;
+const timedPoints = (timeLeft) => Math.round(BASE_POINTS * (1 + timeLeft / TIME_LIMIT_MS));
+
+// Share of a question's score kept when a hint was used / on the second try
+const HINTED_CREDIT = 0.5;
+const SECOND_TRY_CREDIT = 0.5;
+
+const NO_HINTS = { eliminated: null, mascot: false };
+
+// Review and 今日挑战 rounds keep their order; the others adapt as the child plays
+const FIXED_ORDER_MODES = ['review', 'daily'];
+
+/**
+ * @param {object} state
+ * @returns {object} the question on screen
+ */
+export const currentQuestion = (state) => state.questions[state.index];
+
+/**
+ * Whether an option is out of play: removed by the 50/50 hint or already
+ * tried wrong.
+ * @param {object} state
+ * @param {object} option
+ * @returns {boolean}
+ */
+export const isRuledOut = (state, option) =>
+    option.id === state.hints.eliminated || state.triedIds.includes(option.id);
+
+/**
+ * How an option shows once the question is answered: the right answer, the
+ * child's wrong pick, or neither. null while still answering.
+ * @param {object} state
+ * @param {object} option
+ * @returns {'correct'|'wrong'|'neutral'|null}
+ */
+export const optionResult = (state, option) => {
+    if (state.phase === 'playing') return null;
+    if (option.isCorrect) return 'correct';
+    return state.selectedId === option.id ? 'wrong' : 'neutral';
+};
+
+const hintCount = (hints) => (hints.eliminated ? 1 : 0) + (hints.mascot ? 1 : 0);
+
+// Grade by share of the possible score
+const gradeOf = (ratio) => {
+    if (ratio === 1) return 'perfect';
+    if (ratio >= 0.8) return 'great';
+    if (ratio >= 0.6) return 'good';
+    return 'keep-trying';
+};
+
+/**
+ * Totals for the result screen.
+ * @param {object} state
+ * @returns {{ score: number, points: number, total: number, correct: number, firstTry: number, secondTry: number, grade: 'perfect'|'great'|'good'|'keep-trying' }}
+ */
+export const result = (state) => {
+    const total = state.questions.length;
+    const correct = state.answers.filter(a => a.isCorrect);
+    return {
+        score: state.score,
+        points: state.points,
+        total,
+        correct: correct.length,
+        firstTry: correct.filter(a => a.tries === 1).length,
+        secondTry: correct.filter(a => a.tries > 1).length,
+        grade: gradeOf(state.score / total),
+    };
+};
+
+// A bank question with its options back in a saved order; as stored if the
+// options have changed since
+const inOrder = (question, order) => {
+    const byId = new Map(question.options.map(o => [o.id, o]));
+    const options = (order ?? []).map(id => byId.get(id)).filter(Boolean);
+    return options.length === question.options.length ? { ...question, options } : question;
+};
+
+/**
+ * @param {{ rng?: () => number, clock?: () => number }} [deps]
+ *   rng: uniform [0, 1), for picking questions, shuffling options and the 50/50 hint;
+ *   clock: milliseconds, for answer times
+ */
+export const createQuizEngine = ({ rng = Math.random, clock = Date.now } = {}) => {
+    const atQuestion = (state, index) => ({
+        ...state,
+        index,
+        phase: 'playing',
+        selectedId: null,
+        triedIds: [],
+        hints: NO_HINTS,
+        feedback: null, // 'correct' | 'incorrect' | 'retry' — the toast after a submit
+        last: null,     // what the latest submit did, see submit()
+        shownAt: clock(),
+    });
+
+    const withShuffledOptions = (questions) => questions.map(q => shuffleOptions(q, rng));
+
+    /**
+     * Choose the questions for a round, each with its options in a new order.
+     * @param {{ mode?: string, bank: object[], types?: string[], history?: object, ratings?: object, dueIds?: number[], dailyKey?: string|null }} options
+     *   types: categories to draw from, empty for all; history / ratings: as
+     *   loadHistory() / loadRatings() return; dueIds: 错题本 questions due,
+     *   most overdue first (review); dailyKey: the day (daily)
+     * @returns {{ questions: object[], reserve: object[], dailyKey: string|null }}
+     *   questions is empty when there's nothing to review
+     */
+    const pick = ({ mode = 'normal', bank, types = [], history = {}, ratings, dueIds = [], dailyKey = null }) => {
+        if (mode === 'daily') {
+            // Same questions and option order for everyone today, from the whole bank
+            return { questions: dailyQuestions(bank, dailyKey), reserve: [], dailyKey };
+        }
+        if (mode === 'review') {
+            const byId = new Map(bank.map(q => [q.id, q]));
+            const due = dueIds.slice(0, GAME_SIZE).map(id => byId.get(id)).filter(Boolean);
+            return { questions: withShuffledOptions(due), reserve: [], dailyKey: null };
+        }
+        // From the chosen categories take the freshest candidates (unseen first),
+        // then the GAME_SIZE nearest the child's level; the rest stay in reserve
+        const pool = types.length > 0 ? bank.filter(q => types.includes(q.type)) : bank;
+        const fresh = pickQuestions(pool, CANDIDATE_POOL, history, rng);
+        const ordered = orderByTarget(fresh, targetRating(ratings.skill), ratings, rng);
+        return {
+            questions: withShuffledOptions(ordered.slice(0, GAME_SIZE)),
+            reserve: withShuffledOptions(ordered.slice(GAME_SIZE)),
+            dailyKey: null,
+        };
+    };
+
+    /**
+     * A plan for next(): the questions nearest the child's level, adjusted
+     * for the streak, best first.
+     * @param {object} ratings - as loadRatings() returns
+     * @returns {(candidates: object[], streak: number) => object[]}
+     */
+    const ratingPlan = (ratings) => (candidates, streak) =>
+        orderByTarget(candidates, targetRating(ratings.skill, streak), ratings, rng);
+
+    /**
+     * @param {{ mode?: string, questions: object[], reserve?: object[], dailyKey?: string|null, retryPolicy?: 'none'|'once' }} options
+     *   reserve: candidates next() may plan in instead of the remaining questions
+     * @returns {object} the round at its first question
+     */
+    const start = ({ mode = 'normal', questions, reserve = [], dailyKey = null, retryPolicy = 'none' }) => atQuestion({
+        mode,
+        questions,
+        reserve,
+        dailyKey,
+        retryPolicy,
+        score: 0,   // credit: 1 per correct answer, less with hints or a second try
+        points: 0,  // timed mode score, with the speed bonus
+        answers: [], // { questionId, isCorrect, tries, optionIds, timeMs }
+        streak: 0,  // +n after n correct first tries in a row, -n after n misses
+    }, 0);
+
+    /**
+     * @param {object} state
+     * @returns {number} ms left on the current question in timed mode
+     */
+    const timeLeft = (state) => Math.max(0, TIME_LIMIT_MS - (clock() - state.shownAt));
+
+    const select = (state, optionId) => {
+        const option = currentQuestion(state).options.find(o => o.id === optionId);
+        if (state.phase !== 'playing' || !option || isRuledOut(state, option)) return state;
+        return { ...state, selectedId: optionId, feedback: state.feedback === 'retry' ? null : state.feedback };
+    };
+
+    // Hints are for the first try only
+    const canHint = (state) => state.phase === 'playing' && state.triedIds.length === 0;
+
+    const eliminate = (state) => {
+        const wrong = currentQuestion(state).options.filter(o => !o.isCorrect);
+        if (!canHint(state) || state.hints.eliminated || wrong.length < 2) return state;
+        const removed = wrong[Math.floor(rng() * wrong.length)];
+        return {
+            ...state,
+            hints: { ...state.hints, eliminated: removed.id },
+            selectedId: state.selectedId === removed.id ? null : state.selectedId,
+        };
+    };
+
+    const mascotHint = (state) => {
+        if (!canHint(state) || state.hints.mascot || !currentQuestion(state).hint) return state;
+        return { ...state, hints: { ...state.hints, mascot: true } };
+    };
+
+    /**
+     * Grade a pick. `last` on the returned state describes it:
+     * { questionId, optionId, isCorrect, attempt, hints, timeMs, credit, earned, retry }
+     * — retry: true when a wrong first pick earned a second try.
+     * @param {object} state
+     * @param {string|null} optionId - null when time ran out
+     * @returns {object}
+     */
+    const submit = (state, optionId = null) => {
+        if (state.phase !== 'playing') return state;
+        const question = currentQuestion(state);
+        const option = question.options.find(o => o.id === optionId) ?? null;
+        if (option && isRuledOut(state, option)) return state;
+
+        const isCorrect = option?.isCorrect ?? false;
+        const attempt = state.triedIds.length + 1;
+        const hints = hintCount(state.hints);
+        const timeMs = clock() - state.shownAt;
+        const last = { questionId: question.id, optionId: option?.id ?? null, isCorrect, attempt, hints, timeMs, credit: 0, earned: 0, retry: false };
+        // The streak follows first tries only
+        const streak = attempt > 1
+            ? state.streak
+            : isCorrect ? Math.max(state.streak, 0) + 1 : Math.min(state.streak, 0) - 1;
+
+        // A wrong first pick may get a second try, unless only the answer is left
+        const choicesLeft = question.options.filter(o => !isRuledOut(state, o) && o.id !== last.optionId).length;
+        if (option && !isCorrect && attempt === 1 && state.retryPolicy === 'once' && choicesLeft > 1) {
+            return { ...state, streak, triedIds: [option.id], selectedId: null, feedback: 'retry', last: { ...last, retry: true } };
+        }
+
+        const credit = isCorrect
+            ? (hints > 0 ? HINTED_CREDIT : 1) * (attempt > 1 ? SECOND_TRY_CREDIT : 1)
+            : 0;
+        const earned = state.mode === 'timed' ? Math.round(timedPoints(timeLeft(state)) * credit) : 0;
+        return {
+            ...state,
+            phase: 'answered',
+            streak,
+            score: state.score + credit,
+            points: state.points + earned,
+            selectedId: last.optionId,
+            feedback: isCorrect ? 'correct' : 'incorrect',
+            answers: [...state.answers, {
+                questionId: question.id,
+                isCorrect,
+                tries: attempt,
+                optionIds: [...state.triedIds, last.optionId],
+                timeMs,
+            }],
+            last: { ...last, credit, earned },
+        };
+    };
+
+    /**
+     * Move on from an answered question.
+     * @param {object} state
+     * @param {(candidates: object[], streak: number) => object[]} [plan]
+     *   re-orders the questions still to come plus the reserve, best first;
+     *   the round keeps its length and the rest becomes the new reserve
+     * @returns {object} the next question, or phase 'finished' after the last
+     */
+    const next = (state, plan) => {
+        if (state.phase !== 'answered') return state;
+        if (state.index === state.questions.length - 1) {
+            return { ...state, phase: 'finished', feedback: null, last: null };
+        }
+        let { questions, reserve } = state;
+        if (plan && !FIXED_ORDER_MODES.includes(state.mode)) {
+            const played = questions.slice(0, state.index + 1);
+            const remaining = questions.length - played.length;
+            const ordered = plan([...questions.slice(state.index + 1), ...reserve], state.streak);
+            questions = [...played, ...ordered.slice(0, remaining)];
+            reserve = ordered.slice(remaining);
+        }
+        return atQuestion({ ...state, questions, reserve }, state.index + 1);
+    };
+
+    /**
+     * A round as plain data for storage: questions by id with the order their
+     * options were shown in, and how long the question on screen has been up,
+     * without what only matters while on screen.
+     * @param {object} state
+     * @returns {object}
+     */
+    const toSnapshot = (state) => {
+        const { questions, reserve, feedback: _feedback, last: _last, shownAt, ...rest } = state;
+        return {
+            ...rest,
+            questionIds: questions.map(q => q.id),
+            reserveIds: reserve.map(q => q.id),
+            optionOrders: Object.fromEntries([...questions, ...reserve].map(q => [q.id, q.options.map(o => o.id)])),
+            elapsedMs: clock() - shownAt,
+        };
+    };
+
+    /**
+     * Rebuild a round from toSnapshot() data. The question on screen picks up
+     * its clock where the snapshot left it, so a timed question doesn't get
+     * its full time again.
+     * @param {object} snapshot
+     * @param {object[]} bank - all questions
+     * @returns {object|null} null if any of its questions is no longer in the bank
+     */
+    const restore = ({ questionIds, reserveIds, optionOrders = {}, elapsedMs = 0, ...rest }, bank) => {
+        const byId = new Map(bank.map(q => [q.id, q]));
+        const lookUp = (ids) => ids.map(id => byId.get(id) && inOrder(byId.get(id), optionOrders[id]));
+        const questions = lookUp(questionIds);
+        if (questions.some(q => !q)) return null;
+        return {
+            ...rest,
+            questions,
+            reserve: lookUp(reserveIds).filter(Boolean),
+            feedback: null,
+            last: null,
+            shownAt: clock() - elapsedMs,
+        };
+    };
+
+    return { pick, ratingPlan, start, timeLeft, select, eliminate, mascotHint, submit, next, toSnapshot, restore };
+};
@@ -0,0 +1,454 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createQuizEngine, currentQuestion, isRuledOut, optionResult, result,
+    TIME_LIMIT_MS, GAME_SIZE,
+} from './quiz';
+import { createRng } from './random';
+
+// A question with `count` options; option 'a' is the answer
+const question = (id, { type = 'logic', count = 3, hint } = {}) => ({
+    id,
+    type,
+    text: `题目${id}`,
+    hint,
+    options: ['a', 'b', 'c', 'd'].slice(0, count).map((optionId, i) => ({
+        id: optionId,
+        text: `${optionId}${id}`,
+        isCorrect: i === 0,
+    })),
+});
+
+const bank = Array.from({ length: 30 }, (_, i) => question(i + 1, {
+    type: ['logic', 'animal', 'math'][i % 3],
+    hint: i % 2 === 0 ? '想一想' : undefined,
+}));
+
+// An engine with a seeded rng and a clock the test moves by hand
+const setup = ({ seed = 1, rng } = {}) => {
+    const time = { now: 1000 };
+    const engine = createQuizEngine({ rng: rng ?? createRng(seed), clock: () => time.now });
+    return { engine, time };
+};
+
+const startRound = (engine, options = {}) =>
+    engine.start({ questions: bank.slice(0, GAME_SIZE), ...options });
+
+const optionIds = (q) => q.options.map(o => o.id).join('');
+
+describe('start', () => {
+    it('opens the round at its first question', () => {
+        const { engine } = setup();
+        const state = startRound(engine, { mode: 'timed', reserve: bank.slice(5, 7), retryPolicy: 'once' });
+        expect(state).toMatchObject({
+            mode: 'timed',
+            index: 0,
+            phase: 'playing',
+            score: 0,
+            points: 0,
+            streak: 0,
+            answers: [],
+            selectedId: null,
+            triedIds: [],
+            hints: { eliminated: null, mascot: false },
+            feedback: null,
+            last: null,
+            shownAt: 1000,
+            retryPolicy: 'once',
+        });
+        expect(currentQuestion(state).id).toBe(1);
+        expect(state.reserve.map(q => q.id)).toEqual([6, 7]);
+    });
+
+    it('defaults to a normal round without retries', () => {
+        const { engine } = setup();
+        const state = startRound(engine);
+        expect(state).toMatchObject({ mode: 'normal', reserve: [], dailyKey: null, retryPolicy: 'none' });
+    });
+});
+
+describe('select', () => {
+    it('highlights an option', () => {
+        const { engine } = setup();
+        const state = engine.select(startRound(engine), 'b');
+        expect(state.selectedId).toBe('b');
+    });
+
+    it('ignores unknown and ruled-out options', () => {
+        const { engine } = setup({ rng: () => 0 });
+        const state = engine.eliminate(startRound(engine));
+        expect(engine.select(state, 'z')).toBe(state);
+        expect(engine.select(state, state.hints.eliminated)).toBe(state);
+    });
+
+    it('ignores the option tried wrong, and clears the retry toast', () => {
+        const { engine } = setup();
+        const retry = engine.submit(startRound(engine, { retryPolicy: 'once' }), 'b');
+        expect(engine.select(retry, 'b')).toBe(retry);
+        expect(engine.select(retry, 'c')).toMatchObject({ selectedId: 'c', feedback: null });
+    });
+
+    it('does nothing once the question is answered', () => {
+        const { engine } = setup();
+        const answered = engine.submit(startRound(engine), 'a');
+        expect(engine.select(answered, 'b')).toBe(answered);
+    });
+});
+
+describe('eliminate', () => {
+    it('rules out a wrong option chosen by the rng', () => {
+        const first = setup({ rng: () => 0 });
+        expect(first.engine.eliminate(startRound(first.engine)).hints.eliminated).toBe('b');
+        const last = setup({ rng: () => 0.99 });
+        expect(last.engine.eliminate(startRound(last.engine)).hints.eliminated).toBe('c');
+    });
+
+    it('drops the selection if it was the option taken away', () => {
+        const { engine } = setup({ rng: () => 0 });
+        const state = engine.eliminate(engine.select(startRound(engine), 'b'));
+        expect(state.selectedId).toBeNull();
+        expect(isRuledOut(state, { id: 'b' })).toBe(true);
+    });
+
+    it('needs at least two wrong options', () => {
+        const { engine } = setup();
+        const state = engine.start({ questions: [question(1, { count: 2 })] });
+        expect(engine.eliminate(state)).toBe(state);
+    });
+
+    it('is used once per question, and not on a second try', () => {
+        const { engine } = setup();
+        const used = engine.eliminate(startRound(engine, { questions: [question(1, { count: 4 })] }));
+        expect(engine.eliminate(used)).toBe(used);
+        const retry = engine.submit(startRound(engine, { retryPolicy: 'once', questions: [question(1, { count: 4 })] }), 'b');
+        expect(engine.eliminate(retry)).toBe(retry);
+    });
+});
+
+describe('mascotHint', () => {
+    it('marks the spoken hint as used', () => {
+        const { engine } = setup();
+        const state = engine.mascotHint(startRound(engine));
+        expect(state.hints.mascot).toBe(true);
+        expect(engine.mascotHint(state)).toBe(state);
+    });
+
+    it('needs a question with a hint', () => {
+        const { engine } = setup();
+        const state = startRound(engine, { questions: [question(1)] });
+        expect(engine.mascotHint(state)).toBe(state);
+    });
+});
+
+describe('submit', () => {
+    it('grades a correct pick', () => {
+        const { engine, time } = setup();
+        const state = startRound(engine);
+        time.now += 3000;
+        const next = engine.submit(state, 'a');
+        expect(next).toMatchObject({
+            phase: 'answered',
+            score: 1,
+            streak: 1,
+            selectedId: 'a',
+            feedback: 'correct',
+            answers: [{ questionId: 1, isCorrect: true, tries: 1, optionIds: ['a'], timeMs: 3000 }],
+            last: { questionId: 1, optionId: 'a', isCorrect: true, attempt: 1, hints: 0, timeMs: 3000, credit: 1, earned: 0, retry: false },
+        });
+        expect(optionResult(next, next.questions[0].options[0])).toBe('correct');
+    });
+
+    it('grades a wrong pick and reveals the answer', () => {
+        const { engine } = setup();
+        const next = engine.submit(startRound(engine), 'b');
+        expect(next).toMatchObject({ phase: 'answered', score: 0, streak: -1, feedback: 'incorrect' });
+        expect(next.last).toMatchObject({ optionId: 'b', isCorrect: false, credit: 0 });
+        const [a, b, c] = next.questions[0].options;
+        expect([a, b, c].map(o => optionResult(next, o))).toEqual(['correct', 'wrong', 'neutral']);
+    });
+
+    it('counts running out of time (null) as a miss', () => {
+        const { engine, time } = setup();
+        const state = startRound(engine, { mode: 'timed', retryPolicy: 'once' });
+        time.now += TIME_LIMIT_MS;
+        const next = engine.submit(state, null);
+        expect(next).toMatchObject({ phase: 'answered', feedback: 'incorrect', points: 0 });
+        expect(next.last).toMatchObject({ optionId: null, isCorrect: false, retry: false });
+        expect(next.answers[0].optionIds).toEqual([null]);
+    });
+
+    it('gives timed points with a speed bonus, halved by a hint', () => {
+        const { engine, time } = setup({ rng: () => 0 });
+        const state = startRound(engine, { mode: 'timed' });
+        expect(engine.submit(state, 'a').last.earned).toBe(200);
+        time.now += TIME_LIMIT_MS / 2;
+        expect(engine.submit(state, 'a').last.earned).toBe(150);
+        const hinted = engine.submit(engine.eliminate(state), 'a');
+        expect(hinted.last).toMatchObject({ hints: 1, credit: 0.5, earned: 75 });
+        expect(hinted.score).toBe(0.5);
+    });
+
+    it('ignores a ruled-out pick and a second submit', () => {
+        const { engine } = setup({ rng: () => 0 });
+        const state = engine.eliminate(startRound(engine));
+        expect(engine.submit(state, 'b')).toBe(state);
+        const answered = engine.submit(state, 'a');
+        expect(engine.submit(answered, 'a')).toBe(answered);
+    });
+
+    describe('with a second try', () => {
+        it('lets a wrong first pick try again', () => {
+            const { engine } = setup();
+            const retry = engine.submit(startRound(engine, { retryPolicy: 'once' }), 'b');
+            expect(retry).toMatchObject({
+                phase: 'playing',
+                streak: -1,
+                triedIds: ['b'],
+                selectedId: null,
+                feedback: 'retry',
+                answers: [],
+                last: { optionId: 'b', isCorrect: false, attempt: 1, retry: true },
+            });
+            expect(isRuledOut(retry, retry.questions[0].options[1])).toBe(true);
+        });
+
+        it('gives half credit for a correct second try, streak unchanged', () => {
+            const { engine } = setup();
+            const retry = engine.submit(startRound(engine, { retryPolicy: 'once' }), 'b');
+            const next = engine.submit(retry, 'a');
+            expect(next).toMatchObject({ phase: 'answered', score: 0.5, streak: -1, feedback: 'correct' });
+            expect(next.answers[0]).toMatchObject({ isCorrect: true, tries: 2, optionIds: ['b', 'a'] });
+            expect(next.last).toMatchObject({ attempt: 2, credit: 0.5, retry: false });
+        });
+
+        it('reveals the answer after a wrong second try', () => {
+            const { engine } = setup();
+            const retry = engine.submit(startRound(engine, { retryPolicy: 'once', questions: [question(1, { count: 4 })] }), 'b');
+            const next = engine.submit(retry, 'c');
+            expect(next).toMatchObject({ phase: 'answered', feedback: 'incorrect', score: 0 });
+            expect(next.answers[0]).toMatchObject({ tries: 2, optionIds: ['b', 'c'] });
+        });
+
+        it('reveals the answer when only the answer would be left', () => {
+            const { engine } = setup({ rng: () => 0 });
+            const state = engine.eliminate(startRound(engine, { retryPolicy: 'once' }));
+            const next = engine.submit(state, 'c');
+            expect(next).toMatchObject({ phase: 'answered', feedback: 'incorrect' });
+            expect(next.last.retry).toBe(false);
+            const twoOptions = engine.submit(startRound(engine, { retryPolicy: 'once', questions: [question(1, { count: 2 })] }), 'b');
+            expect(twoOptions.phase).toBe('answered');
+        });
+    });
+});
+
+describe('next', () => {
+    const answer = (engine, state, optionId = 'a') => engine.submit(state, optionId);
+
+    it('moves to the following question with a fresh clock', () => {
+        const { engine, time } = setup({ rng: () => 0 });
+        const answered = answer(engine, engine.eliminate(startRound(engine)));
+        time.now = 5000;
+        const next = engine.next(answered);
+        expect(next).toMatchObject({
+            index: 1,
+            phase: 'playing',
+            selectedId: null,
+            triedIds: [],
+            hints: { eliminated: null, mascot: false },
+            feedback: null,
+            last: null,
+            shownAt: 5000,
+            score: 0.5,
+        });
+        expect(currentQuestion(next).id).toBe(2);
+    });
+
+    it('waits for an answer', () => {
+        const { engine } = setup();
+        const state = startRound(engine);
+        expect(engine.next(state)).toBe(state);
+    });
+
+    it('finishes after the last question', () => {
+        const { engine } = setup();
+        let state = startRound(engine);
+        for (let i = 0; i < GAME_SIZE; i++) {
+            state = engine.next(answer(engine, state));
+        }
+        expect(state).toMatchObject({ phase: 'finished', index: GAME_SIZE - 1, feedback: null, last: null, score: GAME_SIZE });
+    });
+
+    it('lets a plan re-order the remaining questions and the reserve', () => {
+        const { engine } = setup();
+        const state = answer(engine, startRound(engine, { reserve: bank.slice(5, 7) }));
+        const calls = [];
+        const plan = (candidates, streak) => {
+            calls.push({ ids: candidates.map(q => q.id), streak });
+            return [...candidates].reverse();
+        };
+        const next = engine.next(state, plan);
+        expect(calls).toEqual([{ ids: [2, 3, 4, 5, 6, 7], streak: 1 }]);
+        expect(next.questions.map(q => q.id)).toEqual([1, 7, 6, 5, 4]);
+        expect(next.reserve.map(q => q.id)).toEqual([3, 2]);
+        expect(currentQuestion(next).id).toBe(7);
+    });
+
+    it('keeps the order of review and daily rounds', () => {
+        const { engine } = setup();
+        const plan = () => { throw new Error('not planned'); };
+        for (const mode of ['review', 'daily']) {
+            const state = answer(engine, startRound(engine, { mode, reserve: bank.slice(5, 7) }));
+            const next = engine.next(state, plan);
+            expect(next.questions.map(q => q.id)).toEqual([1, 2, 3, 4, 5]);
+            expect(currentQuestion(next).id).toBe(2);
+        }
+    });
+});
+
+describe('result', () => {
+    const finished = (score, answers = []) => ({ questions: bank.slice(0, 5), score, points: 0, answers });
+
+    it('grades by share of the possible score', () => {
+        expect(result(finished(5)).grade).toBe('perfect');
+        expect(result(finished(4)).grade).toBe('great');
+        expect(result(finished(4.5)).grade).toBe('great');
+        expect(result(finished(3)).grade).toBe('good');
+        expect(result(finished(2.5)).grade).toBe('keep-trying');
+        expect(result(finished(0)).grade).toBe('keep-trying');
+    });
+
+    it('counts first and second tries', () => {
+        const answers = [
+            { isCorrect: true, tries: 1 },
+            { isCorrect: true, tries: 2 },
+            { isCorrect: false, tries: 2 },
+            { isCorrect: true, tries: 1 },
+        ];
+        expect(result(finished(2.5, answers))).toEqual({
+            score: 2.5, points: 0, total: 5, correct: 3, firstTry: 2, secondTry: 1, grade: 'keep-trying',
+        });
+    });
+});
+
+describe('toSnapshot / restore', () => {
+    it('round-trips a round in progress, options in the order shown', () => {
+        const { engine, time } = setup();
+        const picked = engine.pick({ bank, ratings: { skill: 1000, questions: {} } });
+        let state = engine.start({ ...picked, retryPolicy: 'once' });
+        state = engine.next(engine.submit(state, 'a'), engine.ratingPlan({ skill: 1000, questions: {} }));
+        state = engine.select(engine.submit(state, state.questions[1].options.find(o => !o.isCorrect).id), 'a');
+        expect(state).toMatchObject({ phase: 'playing', triedIds: [expect.any(String)], selectedId: 'a' });
+
+        time.now = state.shownAt + 3000;
+        const snapshot = JSON.parse(JSON.stringify(engine.toSnapshot(state)));
+        expect(snapshot).not.toHaveProperty('questions');
+        expect(snapshot.questionIds).toEqual(state.questions.map(q => q.id));
+        expect(snapshot.elapsedMs).toBe(3000);
+
+        time.now = 99000;
+        const restored = engine.restore(snapshot, bank);
+        expect(restored.questions).toEqual(state.questions);
+        expect(restored.reserve).toEqual(state.reserve);
+        const { feedback: _f, last: _l, ...rest } = state;
+        expect(restored).toMatchObject({ ...rest, feedback: null, last: null, shownAt: 96000 });
+        expect(restored).not.toHaveProperty('elapsedMs');
+    });
+
+    it('goes on with the time a timed question had left', () => {
+        const { engine, time } = setup();
+        const state = startRound(engine, { mode: 'timed' });
+        time.now += 12000;
+        const snapshot = engine.toSnapshot(state);
+
+        time.now += 60 * 60 * 1000;
+        expect(engine.timeLeft(engine.restore(snapshot, bank))).toBe(TIME_LIMIT_MS - 12000);
+    });
+
+    it('starts the clock afresh for snapshots without the elapsed time', () => {
+        const { engine, time } = setup();
+        const { elapsedMs: _e, ...snapshot } = engine.toSnapshot(startRound(engine, { mode: 'timed' }));
+        time.now = 99000;
+        expect(engine.restore(snapshot, bank).shownAt).toBe(99000);
+    });
+
+    it('gives up when a question has left the bank', () => {
+        const { engine } = setup();
+        const snapshot = engine.toSnapshot(startRound(engine));
+        expect(engine.restore(snapshot, bank.slice(1))).toBeNull();
+    });
+
+    it('keeps the bank order for snapshots without option orders', () => {
+        const { engine } = setup();
+        const state = engine.start(engine.pick({ bank, ratings: { skill: 1000, questions: {} } }));
+        const { optionOrders: _o, ...snapshot } = engine.toSnapshot(state);
+        expect(engine.restore(snapshot, bank).questions.map(optionIds)).toEqual(state.questions.map(() => 'abc'));
+    });
+});
+
+describe('pick', () => {
+    const ratings = { skill: 1000, questions: {} };
+
+    it('is reproducible with the same rng', () => {
+        const first = setup({ seed: 7 }).engine.pick({ bank, ratings });
+        const again = setup({ seed: 7 }).engine.pick({ bank, ratings });
+        const other = setup({ seed: 8 }).engine.pick({ bank, ratings });
+        expect(again).toEqual(first);
+        expect(other).not.toEqual(first);
+    });
+
+    it('takes a round and a reserve from the chosen categories', () => {
+        const { engine } = setup();
+        const { questions, reserve, dailyKey } = engine.pick({ bank, ratings, types: ['animal', 'math'] });
+        expect(questions).toHaveLength(GAME_SIZE);
+        expect(reserve).toHaveLength(20 - GAME_SIZE);
+        expect(dailyKey).toBeNull();
+        expect([...questions, ...reserve].every(q => ['animal', 'math'].includes(q.type))).toBe(true);
+    });
+
+    it('prefers questions not seen yet', () => {
+        const { engine } = setup();
+        const history = Object.fromEntries(bank.slice(0, 25).map(q => [q.id, { shown: 1, lastShown: q.id }]));
+        const { questions, reserve } = engine.pick({ bank, ratings, history });
+        const ids = [...questions, ...reserve].map(q => q.id);
+        expect(ids).toEqual(expect.arrayContaining([26, 27, 28, 29, 30]));
+        // then the least recently shown
+        expect(ids).toEqual(expect.arrayContaining([1, 2, 3]));
+        expect(ids).not.toContain(25);
+    });
+
+    it('shuffles options without changing them', () => {
+        const { engine } = setup();
+        const { questions } = engine.pick({ bank, ratings });
+        for (const q of questions) {
+            const original = bank.find(b => b.id === q.id);
+            expect([...q.options].sort((x, y) => x.id.localeCompare(y.id))).toEqual(original.options);
+        }
+        expect(questions.some(q => optionIds(q) !== 'abc')).toBe(true);
+    });
+
+    it('plays due 错题本 questions in order for review', () => {
+        const { engine } = setup();
+        const { questions, reserve } = engine.pick({ mode: 'review', bank, dueIds: [9, 3, 999, 4, 5, 6, 7, 8] });
+        expect(questions.map(q => q.id)).toEqual([9, 3, 4, 5]);
+        expect(reserve).toEqual([]);
+        expect(engine.pick({ mode: 'review', bank }).questions).toEqual([]);
+    });
+
+    it('picks 今日挑战 by date, whatever the rng', () => {
+        const daily = (seed) => setup({ seed }).engine.pick({ mode: 'daily', bank, dailyKey: '2026-10-19' });
+        expect(daily(1)).toEqual(daily(2));
+        expect(daily(1).dailyKey).toBe('2026-10-19');
+        expect(daily(1).questions).toHaveLength(GAME_SIZE);
+    });
+});
+
+describe('ratingPlan', () => {
+    it('puts the questions nearest the target first, ties broken by the rng', () => {
+        const ratings = { skill: 1150, questions: { 3: { rating: 1000 }, 4: { rating: 1200 } } };
+        const plan = setup().engine.ratingPlan(ratings);
+        expect(plan(bank.slice(0, 6), 0)[0].id).toBe(3);
+        // a long streak raises the target
+        expect(plan(bank.slice(0, 6), 5)[0].id).toBe(4);
+        expect(setup({ seed: 3 }).engine.ratingPlan(ratings)(bank, 0))
+            .toEqual(setup({ seed: 3 }).engine.ratingPlan(ratings)(bank, 0));
+    });
+});
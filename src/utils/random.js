@@ -0,0 +1,63 @@
+/**
+ * Randomness helpers shared by question selection and option order.
+ *
+ * Everything takes an optional `rng` (a function returning [0, 1) like
+ * Math.random), so a seeded generator gives the same result on every device.
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32).
+ * @param {number} seed - 32-bit integer
+ * @returns {() => number} returns floats in [0, 1)
+ */
+export const createRng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * 32-bit seed from a string (FNV-1a), e.g. seedFromString('daily:2025-01-31').
+ * @param {string} text
+ * @returns {number}
+ */
+export const seedFromString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Return a shuffled copy of an array (Fisher–Yates).
+ * @param {Array} arr
+ * @param {() => number} [rng] - defaults to Math.random
+ * @returns {Array}
+ */
+export const shuffleArray = (arr, rng = Math.random) => {
+    const a = [...arr];
+    for (let i = a.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+};
+
+/**
+ * The question with its options in a random order, so the answer isn't always
+ * in the same place. Option ids and correctness are unchanged.
+ * @param {object} question
+ * @param {() => number} [rng] - defaults to Math.random
+ * @returns {object}
+ */
+export const shuffleOptions = (question, rng = Math.random) => ({
+    ...question,
+    options: shuffleArray(question.options, rng),
+});
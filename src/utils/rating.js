@@ -0,0 +1,148 @@
+/**
+ * Adaptive difficulty — Elo-style ratings for questions and the child.
+ *
+ * Every question has a difficulty rating and the child has a skill rating on
+ * the same scale. After each answer both move: a correct answer on a hard
+ * question raises the skill a lot and lowers the question's rating a little;
+ * a miss on an easy question does the opposite. The expected chance of a
+ * correct answer is the usual logistic curve of the rating gap.
+ *
+ * Question ratings start from metadata (an optional `difficulty` 1–5 in
+ * questions.json, otherwise category and text length) and only the local
+ * adjustments are stored.
+ */
+import { loadStore, updateStore } from './storage';
+import { shuffleArray } from './random';
+
+export const DEFAULT_SKILL = 1000;
+
+// Aim for questions the child answers correctly ~70% of the time
+const TARGET_OFFSET = -150;
+// Each correct (or wrong) answer in a row shifts the target up (or down)
+const STREAK_STEP = 40;
+const MAX_STREAK = 3;
+
+const TREND_LENGTH = 20;
+
+// Category offsets used when a question has no explicit difficulty
+const TYPE_OFFSET = { daily: -40, animal: -40, science: 0, logic: 40, math: 60 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Skill a new profile starts at: older children start a little higher.
+ * @param {number|null} age
+ * @returns {number}
+ */
+export const startingSkill = (age) =>
+    age ? DEFAULT_SKILL + clamp(age - 7, -3, 4) * 50 : DEFAULT_SKILL;
+
+const withDefaults = (ratings) => ({
+    skill: DEFAULT_SKILL,
+    answers: 0,
+    questions: {},
+    trend: [],
+    ...ratings,
+});
+
+/**
+ * @returns {{ skill: number, answers: number, questions: object, trend: Array<{ at: number, skill: number }> }}
+ *   questions: { [questionId]: { rating, answers } }
+ */
+export const loadRatings = () => withDefaults(loadStore().ratings);
+
+/**
+ * Starting rating of a question before any local play.
+ * @param {object} question
+ * @returns {number}
+ */
+export const seedRating = (question) => {
+    if (question.difficulty) return DEFAULT_SKILL + (question.difficulty - 3) * 100;
+    const textLength = [...question.text].length;
+    const optionLength = Math.max(...question.options.map(o => [...o.text].length));
+    const rating = DEFAULT_SKILL + (TYPE_OFFSET[question.type] ?? 0)
+        + (textLength - 10) * 4 + (optionLength - 3) * 6;
+    return Math.round(clamp(rating, 800, 1200));
+};
+
+/**
+ * @param {object} question
+ * @param {object} ratings - as returned by loadRatings()
+ * @returns {number}
+ */
+export const questionRating = (question, ratings = loadRatings()) =>
+    ratings.questions[question.id]?.rating ?? seedRating(question);
+
+/**
+ * Chance that a child with `skill` answers a question rated `rating` correctly.
+ * @returns {number} 0..1
+ */
+export const expectedScore = (skill, rating) => 1 / (1 + 10 ** ((rating - skill) / 400));
+
+// Larger steps while little is known, settling down with more answers
+const kFactor = (answers, base) => base / Math.sqrt(1 + answers / 10);
+
+/**
+ * Update the child's skill and the question's rating after an answer.
+ * @param {object} question
+ * @param {boolean} isCorrect
+ * @returns {number} the new skill
+ */
+export const recordRating = (question, isCorrect) => updateStore(store => {
+    const ratings = withDefaults(store.ratings);
+    const entry = ratings.questions[question.id] ?? { rating: seedRating(question), answers: 0 };
+    const surprise = (isCorrect ? 1 : 0) - expectedScore(ratings.skill, entry.rating);
+
+    return {
+        ...store,
+        ratings: {
+            ...ratings,
+            skill: Math.round(ratings.skill + kFactor(ratings.answers, 48) * surprise),
+            answers: ratings.answers + 1,
+            questions: {
+                ...ratings.questions,
+                [question.id]: {
+                    rating: Math.round(entry.rating - kFactor(entry.answers, 24) * surprise),
+                    answers: entry.answers + 1,
+                },
+            },
+        },
+    };
+}).ratings.skill;
+
+/**
+ * Remember the skill at the end of a round, for the trend on the result screen.
+ */
+export const recordRoundSkill = () => updateStore(store => {
+    const ratings = withDefaults(store.ratings);
+    return {
+        ...store,
+        ratings: {
+            ...ratings,
+            trend: [...ratings.trend, { at: Date.now(), skill: ratings.skill }].slice(-TREND_LENGTH),
+        },
+    };
+});
+
+/**
+ * Rating the next question should be near, nudged by the current streak.
+ * @param {number} skill
+ * @param {number} streak - +n after n correct answers in a row, -n after n misses
+ * @returns {number}
+ */
+export const targetRating = (skill, streak = 0) =>
+    skill + TARGET_OFFSET + clamp(streak, -MAX_STREAK, MAX_STREAK) * STREAK_STEP;
+
+/**
+ * Sort questions by how close their rating is to `target`, closest first.
+ * @param {Array} pool
+ * @param {number} target
+ * @param {object} ratings - as returned by loadRatings()
+ * @param {() => number} [rng] - defaults to Math.random
+ * @returns {Array}
+ */
+export const orderByTarget = (pool, target, ratings = loadRatings(), rng = Math.random) => {
+    const distance = (q) => Math.abs(questionRating(q, ratings) - target);
+    // Shuffle first so equally close questions come in random order
+    return shuffleArray(pool, rng).sort((a, b) => distance(a) - distance(b));
+};
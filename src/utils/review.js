@@ -0,0 +1,87 @@
+/**
+ * 错题本 — wrong-answer notebook scheduled with Leitner boxes.
+ *
+ * A missed question goes into box 0 and is due straight away. Each correct
+ * review moves it up one box (due again after that box's interval); a miss
+ * drops it back to box 0. Answering correctly in the last box graduates the
+ * question out of the notebook, so it takes BOX_INTERVALS.length correct
+ * reviews in a row to leave.
+ */
+import { loadStore, updateStore } from './storage';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days until a question in box n is due again
+export const BOX_INTERVALS = [0, 1, 3];
+
+const updateNotebook = (fn) => updateStore(store => ({
+    ...store,
+    review: fn({ ...store.review }),
+}));
+
+/**
+ * @returns {object} { [questionId]: { box, due, addedAt, misses } }
+ */
+export const loadNotebook = () => loadStore().review;
+
+/**
+ * Put a missed question into the notebook (or back into box 0).
+ * @param {number} questionId
+ */
+export const addMistake = (questionId) => updateNotebook(notebook => {
+    const now = Date.now();
+    const entry = notebook[questionId];
+    notebook[questionId] = {
+        box: 0,
+        due: now + BOX_INTERVALS[0] * DAY,
+        addedAt: entry?.addedAt ?? now,
+        misses: (entry?.misses ?? 0) + 1,
+    };
+    return notebook;
+});
+
+/**
+ * Put a question into the notebook by hand (e.g. from the round recap)
+ * without counting a miss. One already there keeps its box.
+ * @param {number} questionId
+ */
+export const addToNotebook = (questionId) => updateNotebook(notebook => {
+    if (notebook[questionId]) return notebook;
+    const now = Date.now();
+    notebook[questionId] = { box: 0, due: now + BOX_INTERVALS[0] * DAY, addedAt: now, misses: 0 };
+    return notebook;
+});
+
+/**
+ * Apply the result of a review: promote, graduate, or reset.
+ * @param {number} questionId
+ * @param {boolean} isCorrect
+ */
+export const recordReview = (questionId, isCorrect) => {
+    if (!isCorrect) return addMistake(questionId);
+
+    return updateNotebook(notebook => {
+        const entry = notebook[questionId];
+        if (!entry) return notebook;
+
+        const box = entry.box + 1;
+        if (box >= BOX_INTERVALS.length) {
+            delete notebook[questionId]; // graduated
+        } else {
+            notebook[questionId] = { ...entry, box, due: Date.now() + BOX_INTERVALS[box] * DAY };
+        }
+        return notebook;
+    });
+};
+
+/**
+ * Ids of notebook questions that are due for review, most overdue first.
+ * @param {object} notebook - as returned by loadNotebook()
+ * @param {number} now
+ * @returns {number[]}
+ */
+export const getDueIds = (notebook = loadNotebook(), now = Date.now()) =>
+    Object.entries(notebook)
+        .filter(([, entry]) => entry.due <= now)
+        .sort(([, a], [, b]) => a.due - b.due)
+        .map(([id]) => Number(id));
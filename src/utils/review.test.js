@@ -0,0 +1,29 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { addMistake, addToNotebook, loadNotebook } from './review';
+import { createProfile } from './profiles';
+
+// In-memory localStorage, emptied before each test
+const storage = new Map();
+vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+});
+
+describe('addToNotebook', () => {
+    beforeEach(() => {
+        storage.clear();
+        createProfile({ name: '小明', avatar: '🐣', age: 6 });
+    });
+
+    it('schedules a question without counting a miss', () => {
+        addToNotebook(7);
+        expect(loadNotebook()[7]).toMatchObject({ box: 0, misses: 0 });
+    });
+
+    it('leaves a question already in the notebook as it was', () => {
+        addMistake(7);
+        const entry = loadNotebook()[7];
+        addToNotebook(7);
+        expect(loadNotebook()[7]).toEqual(entry);
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * The round in progress, snapshotted after every step so a reload or app
+ * switch mid-round can pick up where it left off (继续上一局).
+ *
+ * A snapshot is quiz.js toSnapshot() data — questions by id — which the quiz
+ * engine's restore() turns back into a round.
+ */
+import { loadStore, updateStore } from './storage';
+
+/**
+ * @returns {object|null} the last snapshot saved with saveRound(), or null
+ */
+export const loadRound = () => loadStore().round;
+
+/**
+ * @param {object} snapshot - from toSnapshot(), plus anything the UI keeps alongside
+ */
+export const saveRound = (snapshot) => {
+    updateStore(store => ({ ...store, round: { ...snapshot, savedAt: Date.now() } }));
+};
+
+/**
+ * Forget the snapshot — the round finished or was abandoned.
+ */
+export const clearRound = () => {
+    updateStore(store => ({ ...store, round: null }));
+};
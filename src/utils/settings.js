@@ -0,0 +1,77 @@
+/**
+ * User preferences, persisted in the local store.
+ *
+ * - loadSettings():        saved values merged over DEFAULT_SETTINGS
+ * - saveSettings(patch):   merge a partial update and persist it
+ *
+ * Settings belong to the active profile (see profiles.js).
+ */
+import { loadStore, updateStore } from './storage';
+
+// pinyinMode: 'always' | 'tap' (only the tapped character) | 'never'
+export const PINYIN_MODES = ['always', 'tap', 'never'];
+
+// retryPolicy: after a wrong pick, 'none' reveals the answer, 'once' allows
+// a second try (the wrong option greyed out) for partial credit
+export const RETRY_POLICIES = [
+    { value: 'none', label: '直接揭晓' },
+    { value: 'once', label: '再试一次' },
+];
+
+// Speech speeds offered in the settings panel (playbackRate of character / sentence audio)
+export const SPEECH_RATES = [
+    { value: 0.6, label: '很慢' },
+    { value: 0.8, label: '慢' },
+    { value: 1, label: '正常' },
+    { value: 1.2, label: '快' },
+];
+
+export const DEFAULT_SETTINGS = {
+    pinyinMode: 'always',
+    muted: false,
+    voiceVolume: 1,   // character pronunciation and read-aloud
+    effectsVolume: 1, // feedback phrases
+    speechRate: 1,
+    retryPolicy: 'none',
+    categories: [],   // question types picked on the welcome screen; empty = mixed
+};
+
+/**
+ * Starting settings for a new profile of the given age: younger children get
+ * slower speech and a second try, readers who know most characters get
+ * pinyin on tap only.
+ * @param {number|null} age
+ * @returns {object} partial settings
+ */
+export const settingsForAge = (age) => {
+    if (!age) return {};
+    if (age <= 5) return { speechRate: 0.8, retryPolicy: 'once' };
+    if (age >= 9) return { pinyinMode: 'tap' };
+    return {};
+};
+
+/**
+ * The audio part of the settings, in the shape tts.js setAudioOptions() takes.
+ * @param {object} settings
+ * @returns {object}
+ */
+export const toAudioOptions = ({ muted, voiceVolume, effectsVolume, speechRate }) => ({
+    muted,
+    voiceVolume,
+    effectsVolume,
+    playbackRate: speechRate,
+});
+
+/**
+ * @returns {object}
+ */
+export const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...loadStore().settings });
+
+/**
+ * @param {object} patch - partial settings to merge
+ * @returns {object} the full, updated settings
+ */
+export const saveSettings = (patch) => {
+    const store = updateStore(s => ({ ...s, settings: { ...s.settings, ...patch } }));
+    return { ...DEFAULT_SETTINGS, ...store.settings };
+};
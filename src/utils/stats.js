@@ -0,0 +1,107 @@
+/**
+ * Learning statistics for the parent dashboard, computed from the session
+ * log (see log.js). Pure functions — pass in the log.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// First tries only — a second try after a wrong pick (attempt 2) isn't a new
+// answer; entries logged before retries existed have no attempt
+const answersOf = (log) => log.filter(e => e.kind === 'answer' && (e.attempt ?? 1) === 1);
+
+/**
+ * Questions answered, counting first tries only.
+ * @param {Array<object>} log
+ * @returns {number}
+ */
+export const totalAnswers = (log) => answersOf(log).length;
+
+const startOfDay = (time) => {
+    const d = new Date(time);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+};
+
+/**
+ * @param {Array<object>} log
+ * @returns {{ [type: string]: { answered: number, correct: number } }}
+ */
+export const accuracyByType = (log) => {
+    const result = {};
+    for (const { type, isCorrect } of answersOf(log)) {
+        result[type] ??= { answered: 0, correct: 0 };
+        result[type].answered++;
+        if (isCorrect) result[type].correct++;
+    }
+    return result;
+};
+
+/**
+ * Answers per day for the last `days` days, oldest first.
+ * @param {Array<object>} log
+ * @param {number} [days]
+ * @param {number} [now]
+ * @returns {Array<{ day: number, answered: number, correct: number }>} day = local midnight timestamp
+ */
+export const attemptsByDay = (log, days = 14, now = Date.now()) => {
+    const today = startOfDay(now);
+    const buckets = Array.from({ length: days }, (_, i) => ({
+        day: today - (days - 1 - i) * DAY,
+        answered: 0,
+        correct: 0,
+    }));
+    for (const { at, isCorrect } of answersOf(log)) {
+        const index = Math.round((startOfDay(at) - buckets[0].day) / DAY);
+        if (index < 0 || index >= days) continue;
+        buckets[index].answered++;
+        if (isCorrect) buckets[index].correct++;
+    }
+    return buckets;
+};
+
+/**
+ * Mean time from showing a question to submitting an answer.
+ * @param {Array<object>} log
+ * @returns {number|null} milliseconds, or null with no timed answers
+ */
+export const averageTimeMs = (log) => {
+    const times = answersOf(log).map(e => e.timeMs).filter(t => typeof t === 'number');
+    if (times.length === 0) return null;
+    return times.reduce((sum, t) => sum + t, 0) / times.length;
+};
+
+/**
+ * Questions answered wrong most often.
+ * @param {Array<object>} log
+ * @param {number} [limit]
+ * @returns {Array<{ questionId: number, misses: number, answered: number }>}
+ */
+export const mostMissed = (log, limit = 5) => {
+    const counts = {};
+    for (const { questionId, isCorrect } of answersOf(log)) {
+        counts[questionId] ??= { questionId, misses: 0, answered: 0 };
+        counts[questionId].answered++;
+        if (!isCorrect) counts[questionId].misses++;
+    }
+    return Object.values(counts)
+        .filter(c => c.misses > 0)
+        .sort((a, b) => b.misses - a.misses || a.answered - b.answered)
+        .slice(0, limit);
+};
+
+/**
+ * Characters tapped most often (tapped to hear = probably not recognised).
+ * @param {Array<object>} log
+ * @param {number} [limit]
+ * @returns {Array<{ char: string, taps: number }>}
+ */
+export const mostTappedChars = (log, limit = 10) => {
+    const counts = {};
+    for (const { kind, char } of log) {
+        if (kind === 'tap') counts[char] = (counts[char] ?? 0) + 1;
+    }
+    return Object.entries(counts)
+        .map(([char, taps]) => ({ char, taps }))
+        .sort((a, b) => b.taps - a.taps)
+        .slice(0, limit);
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { totalAnswers, accuracyByType } from './stats';
+
+const answer = (questionId, isCorrect, attempt) => ({ kind: 'answer', at: 0, questionId, type: 'idiom', isCorrect, attempt });
+
+// A miss then a second try on question 1, a first-try hit on 2, a pre-retry entry on 3
+const log = [
+    answer(1, false, 1),
+    answer(1, true, 2),
+    answer(2, true, 1),
+    answer(3, true, undefined),
+    { kind: 'tap', at: 0, questionId: 1, char: '兔' },
+];
+
+describe('first tries only', () => {
+    it('counts a second try as the same answer', () => {
+        expect(totalAnswers(log)).toBe(3);
+    });
+
+    it('grades the first try', () => {
+        expect(accuracyByType(log)).toEqual({ idiom: { answered: 3, correct: 2 } });
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Local persistence — a single versioned JSON document in localStorage.
+ *
+ * The document holds one entry per child profile; everything a child owns
+ * (history, 错题本, settings, ratings, session log, best scores, daily
+ * results, the unfinished round, stickers) lives in that profile's `data`.
+ *
+ * - loadStore():          the active profile's data
+ * - updateStore(fn):      read it, apply fn(data) → data, write back
+ * - loadDocument():       the whole document (profiles.js manages profiles)
+ * - updateDocument(fn):   apply fn(document) → document and write it back
+ *
+ * Bump STORAGE_VERSION and add a migration whenever the shape changes, so
+ * data saved by an older release is upgraded instead of thrown away.
+ */
+import { accuracyByType } from './stats';
+
+const STORAGE_KEY = 'brain-teaser';
+export const STORAGE_VERSION = 11;
+
+const createDocument = () => ({
+    version: STORAGE_VERSION,
+    activeProfileId: null,
+    profiles: {}, // { [id]: { id, name, avatar, age, createdAt, data } }
+});
+
+/**
+ * Empty data for a new profile.
+ * @returns {object}
+ */
+export const createProfileData = () => ({
+    history: {}, // { [questionId]: { shown, answered, correct, lastShown, lastAnswered } }
+    review: {},  // 错题本 { [questionId]: { box, due, addedAt, misses } }
+    settings: {}, // user preferences, merged over defaults in settings.js
+    ratings: {},  // skill + question difficulty, merged over defaults in rating.js
+    log: [],      // raw answer / tap entries for the parent dashboard (log.js)
+    bests: {},    // best round per mode { [mode]: { score, at } } (bests.js)
+    daily: {},    // 今日挑战 results { [YYYY-MM-DD]: { score, total, at } } (daily.js)
+    round: null,  // snapshot of the round in progress, for 继续上一局 (round.js)
+    achievements: {}, // stickers earned and round tallies (achievements.js)
+});
+
+// Apply fn(data) → data to every profile's data
+const mapProfiles = (doc, fn) => ({
+    ...doc,
+    profiles: Object.fromEntries(Object.entries(doc.profiles).map(
+        ([id, profile]) => [id, { ...profile, data: fn(profile.data) }]
+    )),
+});
+
+// Add new empty fields to every profile's data
+const addToProfiles = (doc, fields) => mapProfiles(doc, data => ({ ...data, ...fields }));
+
+const hasProgress = (data) => Object.values(data).some(part => part && Object.keys(part).length > 0);
+
+// migrations[n] upgrades a version n-1 document to version n
+const migrations = {
+    2: (data) => ({ ...data, review: {} }),
+    3: (data) => ({ ...data, settings: {} }),
+    4: (data) => ({ ...data, ratings: {} }),
+    // Single-child data becomes the first profile
+    5: ({ history, review, settings, ratings, ...rest }) => {
+        const data = { history, review, settings, ratings };
+        const profiles = hasProgress(data)
+            ? { default: { id: 'default', name: '小朋友', avatar: '🐣', age: null, createdAt: Date.now(), data } }
+            : {};
+        return { ...rest, activeProfileId: null, profiles };
+    },
+    6: (doc) => addToProfiles(doc, { log: [] }),
+    7: (doc) => addToProfiles(doc, { bests: {} }),
+    8: (doc) => addToProfiles(doc, { daily: {} }),
+    9: (doc) => addToProfiles(doc, { round: null }),
+    10: (doc) => addToProfiles(doc, { achievements: {} }),
+    // Sticker counts kept as running totals, since the capped log drops old
+    // entries; they start from what the log still holds
+    11: (doc) => mapProfiles(doc, data => ({
+        ...data,
+        achievements: {
+            ...data.achievements,
+            correct: Object.fromEntries(Object.entries(accuracyByType(data.log)).map(([type, a]) => [type, a.correct])),
+            taps: data.log.filter(e => e.kind === 'tap').length,
+        },
+    })),
+};
+
+const migrate = (store) => {
+    let data = store;
+    while (data.version < STORAGE_VERSION) {
+        const next = data.version + 1;
+        data = { ...migrations[next](data), version: next };
+    }
+    return data;
+};
+
+/**
+ * Read the persisted document. Falls back to an empty document when storage
+ * is unavailable (private mode) or the saved data is unreadable.
+ * @returns {object}
+ */
+export const loadDocument = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return createDocument();
+        const data = JSON.parse(raw);
+        if (typeof data?.version !== 'number' || data.version > STORAGE_VERSION) {
+            return createDocument();
+        }
+        return { ...createDocument(), ...migrate(data) };
+    } catch {
+        return createDocument();
+    }
+};
+
+/**
+ * Write the document back to localStorage.
+ * @param {object} doc
+ */
+export const saveDocument = (doc) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(doc));
+    } catch {
+        // Quota exceeded or storage disabled — progress just isn't kept
+    }
+};
+
+/**
+ * Apply an update to the persisted document.
+ * @param {(doc: object) => object} fn - returns the next document
+ * @returns {object} the saved document
+ */
+export const updateDocument = (fn) => {
+    const next = fn(loadDocument());
+    saveDocument(next);
+    return next;
+};
+
+/**
+ * The active profile's data; empty data when no profile is chosen.
+ * @returns {object}
+ */
+export const loadStore = () => {
+    const doc = loadDocument();
+    return { ...createProfileData(), ...doc.profiles[doc.activeProfileId]?.data };
+};
+
+/**
+ * Apply an update to the active profile's data. Without an active profile
+ * nothing is saved.
+ * @param {(store: object) => object} fn - returns the next data
+ * @returns {object} the updated data
+ */
+export const updateStore = (fn) => {
+    const doc = loadDocument();
+    const profile = doc.profiles[doc.activeProfileId];
+    const next = fn({ ...createProfileData(), ...profile?.data });
+    if (profile) {
+        saveDocument({
+            ...doc,
+            profiles: { ...doc.profiles, [profile.id]: { ...profile, data: next } },
+        });
+    }
+    return next;
+};
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadDocument, STORAGE_VERSION } from './storage';
+
+const storage = new Map();
+vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+});
+
+describe('migrations', () => {
+    it('starts the sticker totals from what the log holds', () => {
+        const log = [
+            { kind: 'answer', type: 'animal', isCorrect: false, attempt: 1 },
+            { kind: 'answer', type: 'animal', isCorrect: true, attempt: 2 },
+            { kind: 'answer', type: 'math', isCorrect: true, attempt: 1 },
+            { kind: 'tap', char: '兔' },
+        ];
+        const achievements = { rounds: 3 };
+        storage.set('brain-teaser', JSON.stringify({
+            version: 10,
+            activeProfileId: 'p1',
+            profiles: { p1: { id: 'p1', data: { log, achievements } } },
+        }));
+
+        const doc = loadDocument();
+        expect(doc.version).toBe(STORAGE_VERSION);
+        expect(doc.profiles.p1.data.achievements).toEqual({
+            rounds: 3,
+            correct: { animal: 0, math: 1 },
+            taps: 1,
+        });
+    });
+});
@@ -2,47 +2,282 @@
  * TTS Utility — uses only pre-generated audio files, no system TTS.
  *
  * - speakChar(audioFile): plays a character pronunciation audio
+ * - speakChars(files):    plays several character audios one after another
  * - speakFeedback(text):  plays a feedback phrase audio
+ * - readAloud(parts, ...): reads whole texts, reporting the character being spoken
+ * - stopSpeaking():        stops whatever is playing
+ *
+ * Everything goes through one playback manager: a single audio channel
+ * (a new sound interrupts the old one), a queue for sequences, start/end/error
+ * events, volume / speed / mute, and a small preload cache so taps play
+ * instantly on slow connections.
  */
 import feedbackAudioMap from '../data/feedback_audio.json';
 
 const BASE = import.meta.env.BASE_URL;
-let currentAudio = null;
+
+let current = null; // the sound playing now: { audio, path, channel, settle }
+let queueId = 0;    // bumped to cancel a running queue
+
+// ── Options ───────────────────────────────────────────────────────
+// Two channels: 'voice' (character / sentence reading) and 'effects'
+// (feedback phrases). Speed only applies to voice.
+let options = {
+    muted: false,
+    voiceVolume: 1,   // 0..1
+    effectsVolume: 1, // 0..1
+    playbackRate: 1,  // 0.5..2
+};
+
+const applyOptions = (audio, channel) => {
+    audio.muted = options.muted;
+    audio.volume = channel === 'effects' ? options.effectsVolume : options.voiceVolume;
+    audio.playbackRate = channel === 'voice' ? options.playbackRate : 1;
+};
+
+/**
+ * Update mute / volumes / playbackRate; applies to the sound already playing.
+ * @param {{ muted?: boolean, voiceVolume?: number, effectsVolume?: number, playbackRate?: number }} patch
+ */
+export const setAudioOptions = (patch) => {
+    options = { ...options, ...patch };
+    if (current) applyOptions(current.audio, current.channel);
+};
+
+// ── Events ────────────────────────────────────────────────────────
+const listeners = { start: new Set(), end: new Set(), error: new Set() };
+
+/**
+ * Subscribe to playback events. Handlers receive { path } (and `error` for errors).
+ * @param {'start'|'end'|'error'} event
+ * @param {(detail: object) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export const onAudio = (event, handler) => {
+    listeners[event].add(handler);
+    return () => listeners[event].delete(handler);
+};
+
+const emit = (event, detail) => {
+    listeners[event].forEach(handler => handler(detail));
+};
+
+// ── Preload cache ─────────────────────────────────────────────────
+const PRELOAD_LIMIT = 60;
+const cache = new Map(); // audioPath → HTMLAudioElement
+
+const urlFor = (audioPath) => `${BASE}audio/${audioPath}`;
+
+const load = (path) => {
+    const audio = new Audio();
+    audio.preload = 'auto';
+    audio.src = urlFor(path);
+    audio.load();
+    return audio;
+};
+
+/**
+ * Start downloading audio files so they play without delay later. The files
+ * asked for are always kept, even past the cache limit; older ones make room.
+ * @param {string[]} audioPaths - paths relative to audio/; empty entries are skipped
+ */
+export const preloadAudio = (audioPaths) => {
+    const wanted = new Set(audioPaths.filter(Boolean));
+    for (const path of wanted) {
+        const audio = cache.get(path) ?? load(path);
+        // Re-insert so the cache stays ordered oldest request first
+        cache.delete(path);
+        cache.set(path, audio);
+    }
+    // Drop the oldest entries beyond the limit, but not what was just asked for
+    for (const path of cache.keys()) {
+        if (cache.size <= PRELOAD_LIMIT) break;
+        if (!wanted.has(path) && current?.audio !== cache.get(path)) cache.delete(path);
+    }
+};
 
 /**
- * Play a pre-generated audio file.
+ * Every audio file a question can play: sentence clips, the mascot hint, the
+ * answer explanation and per-character audio.
+ * @param {object} question - a question from data/questions.js
+ * @returns {string[]}
+ */
+export const questionAudioFiles = (question) => [
+    question.audioFile,
+    question.hintAudioFile,
+    question.explanationAudioFile,
+    ...question.charPronunciation.map(info => info?.audioFile),
+    ...question.options.flatMap(o => [
+        o.audioFile,
+        ...o.charPronunciation.map(info => info?.audioFile),
+    ]),
+].filter(Boolean);
+
+// ── Playback ──────────────────────────────────────────────────────
+const stopCurrent = () => {
+    if (!current) return;
+    current.audio.pause();
+    current.settle('stopped');
+};
+
+/**
+ * Play one file, interrupting whatever was playing.
  * @param {string} audioPath - path relative to audio/, e.g. "a1b2c3.mp3" or "feedback/abc.mp3"
- * @returns {HTMLAudioElement|null}
+ * @param {(audio: HTMLAudioElement) => void} [onPlay] - called with the element once playback is requested
+ * @param {'voice'|'effects'} [channel] - which volume / speed settings apply
+ * @returns {Promise<'ended'|'stopped'|'error'|'skipped'>}
  */
-const playAudio = (audioPath) => {
-    if (!audioPath) return null;
+const playAudio = (audioPath, onPlay, channel = 'voice') => {
+    stopCurrent();
+    if (!audioPath) return Promise.resolve('skipped');
+
+    const audio = cache.get(audioPath) ?? new Audio(urlFor(audioPath));
+    applyOptions(audio, channel);
+    audio.currentTime = 0;
+
+    return new Promise((resolve) => {
+        const entry = { audio, path: audioPath, channel };
+
+        const onPlaying = () => emit('start', { path: audioPath });
+        const onEnded = () => {
+            emit('end', { path: audioPath });
+            entry.settle('ended');
+        };
+        const onError = () => {
+            emit('error', { path: audioPath, error: audio.error });
+            entry.settle('error');
+        };
 
-    // Stop any currently playing audio
-    if (currentAudio) {
-        currentAudio.pause();
-        currentAudio.currentTime = 0;
-        currentAudio = null;
+        entry.settle = (status) => {
+            if (entry.settled) return;
+            entry.settled = true;
+            audio.removeEventListener('playing', onPlaying);
+            audio.removeEventListener('ended', onEnded);
+            audio.removeEventListener('error', onError);
+            if (current === entry) current = null;
+            resolve(status);
+        };
+
+        current = entry;
+        audio.addEventListener('playing', onPlaying);
+        audio.addEventListener('ended', onEnded);
+        audio.addEventListener('error', onError);
+        audio.play().catch((error) => {
+            if (entry.settled) return; // interrupted before it started
+            emit('error', { path: audioPath, error });
+            entry.settle('error');
+        });
+        onPlay?.(audio);
+    });
+};
+
+/**
+ * Play items one after another. A failed item is reported and skipped;
+ * any other playback call stops the rest of the queue.
+ * @param {Array<string|{ path: string, onStart?: () => void, onPlay?: (audio: HTMLAudioElement) => void }>} items
+ * @returns {Promise<'ended'|'stopped'>}
+ */
+export const playQueue = async (items) => {
+    const id = ++queueId;
+    for (const item of items) {
+        if (id !== queueId) return 'stopped';
+        const { path, onStart, onPlay } = typeof item === 'string' ? { path: item } : item;
+        if (!path) continue;
+        onStart?.();
+        const status = await playAudio(path, onPlay);
+        if (status === 'stopped') return 'stopped';
     }
+    return id === queueId ? 'ended' : 'stopped';
+};
 
-    const audio = new Audio(`${BASE}audio/${audioPath}`);
-    currentAudio = audio;
-    audio.play().catch(() => { });
-    return audio;
+/**
+ * Stop the current audio and cancel any running queue.
+ */
+export const stopSpeaking = () => {
+    queueId++;
+    stopCurrent();
 };
 
 /**
  * Play a pre-generated character audio file.
  * @param {string} audioFile - filename like "a1b2c3d4e5f6.mp3"
+ * @returns {Promise<string>} settles when playback ends, fails or is interrupted
  */
 export const speakChar = (audioFile) => {
+    queueId++;
     return playAudio(audioFile);
 };
 
+/**
+ * Play character audio files in order, e.g. to read out a whole answer.
+ * Any later speakChar/speakChars/speakFeedback call cancels the rest.
+ * @param {string[]} audioFiles - filenames; empty entries are skipped
+ * @returns {Promise<'ended'|'stopped'>}
+ */
+export const speakChars = (audioFiles) => playQueue(audioFiles);
+
+/**
+ * @param {string} text - a feedback phrase
+ * @returns {boolean} whether it has generated audio in feedback_audio.json
+ */
+export const hasFeedbackAudio = (text) => Boolean(feedbackAudioMap[text]);
+
 /**
  * Play a pre-generated feedback phrase audio.
  * @param {string} text - the feedback text, e.g. "太棒了！"
+ * @returns {Promise<string>}
  */
 export const speakFeedback = (text) => {
-    const audioFile = feedbackAudioMap[text];
-    return playAudio(audioFile);
+    queueId++;
+    return playAudio(feedbackAudioMap[text], undefined, 'effects');
+};
+
+// Index of the character being spoken at `ms` into a sentence clip
+const indexAt = (ms, audio, chars, timings) => {
+    if (timings) {
+        let index = 0;
+        while (index + 1 < timings.length && timings[index + 1] <= ms) index++;
+        return index;
+    }
+    // No alignment data — spread the characters evenly over the clip
+    if (!audio.duration || !isFinite(audio.duration)) return 0;
+    return Math.min(chars.length - 1, Math.floor((ms / 1000 / audio.duration) * chars.length));
+};
+
+/**
+ * Read texts aloud one after another (e.g. the question, then each option),
+ * calling onHighlight(key, index) as each character is spoken.
+ *
+ * A part with a sentence `audioFile` plays that clip; the highlight follows
+ * `audioTimings` (start ms of each character) or is spread evenly over the
+ * clip. Without sentence audio it falls back to the per-character audio.
+ *
+ * @param {Array<{ key: string, text: string, audioFile?: string, audioTimings?: number[], charAudio: string[] }>} parts
+ * @param {(key: string, index: number) => void} onHighlight
+ * @returns {Promise<'ended'|'stopped'>} settles when finished or cancelled
+ */
+export const readAloud = (parts, onHighlight) => {
+    let last = null;
+    const highlight = (key, index) => {
+        if (last?.key === key && last?.index === index) return;
+        last = { key, index };
+        onHighlight(key, index);
+    };
+
+    // Follow a sentence clip's playback position until it stops
+    const track = (part) => (audio) => {
+        const chars = [...part.text];
+        const tick = () => {
+            if (current?.audio !== audio) return;
+            highlight(part.key, indexAt(audio.currentTime * 1000, audio, chars, part.audioTimings));
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    };
+
+    const items = parts.flatMap(part => part.audioFile
+        ? [{ path: part.audioFile, onPlay: track(part) }]
+        : part.charAudio.map((path, i) => ({ path, onStart: () => highlight(part.key, i) }))
+    );
+    return playQueue(items);
 };
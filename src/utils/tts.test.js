@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { preloadAudio } from './tts';
+
+// Stands in for HTMLAudioElement; counts the downloads started
+let loads = [];
+class FakeAudio {
+    load() {
+        loads.push(this.src);
+    }
+}
+vi.stubGlobal('Audio', FakeAudio);
+
+const files = (from, count) => Array.from({ length: count }, (_, i) => `${from + i}.mp3`);
+
+describe('preloadAudio', () => {
+    beforeEach(() => {
+        loads = [];
+    });
+
+    it('keeps every file of a request larger than the cache', () => {
+        preloadAudio(files(0, 70));
+        preloadAudio(files(0, 70));
+        expect(loads).toHaveLength(70);
+    });
+
+    it('makes room by dropping the oldest request', () => {
+        preloadAudio(files(100, 40));
+        preloadAudio(files(200, 40));
+        loads = [];
+        preloadAudio(files(200, 40));
+        expect(loads).toHaveLength(0);
+        preloadAudio(files(100, 1));
+        expect(loads).toHaveLength(1);
+    });
+});